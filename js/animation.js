@@ -0,0 +1,170 @@
+/**
+ * HMQC Animation - APNG export and frame extraction
+ * Frames are whole PNGs from canvas.toBlob; their IDAT data is re-wrapped
+ * as APNG frames, so no image re-encoding is needed either way.
+ */
+
+class HMQCAnimation {
+    constructor() {
+        this.signature = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+        this.crcTable = null;
+    }
+
+    /**
+     * Build a looping APNG from same-sized PNG frames
+     */
+    createApng(frames, delayMs) {
+        if (frames.length === 0) throw new Error('No frames to export');
+
+        const first = this.readChunks(frames[0]);
+        const ihdr = first.find(chunk => chunk.type === 'IHDR').data;
+        const width = new DataView(ihdr.buffer, ihdr.byteOffset).getUint32(0);
+        const height = new DataView(ihdr.buffer, ihdr.byteOffset).getUint32(4);
+        const chunks = [this.writeChunk('IHDR', ihdr)];
+        let sequence = 0;
+
+        const acTL = new Uint8Array(8);
+        new DataView(acTL.buffer).setUint32(0, frames.length); // Plays 0 = forever
+        chunks.push(this.writeChunk('acTL', acTL));
+
+        frames.forEach((frame, index) => {
+            const frameChunks = this.readChunks(frame);
+            const header = frameChunks.find(chunk => chunk.type === 'IHDR').data;
+            if (!header.every((byte, i) => byte === ihdr[i])) {
+                throw new Error(`Frame ${index + 1} differs in size or pixel format from the first frame`);
+            }
+
+            const fcTL = new Uint8Array(26);
+            const view = new DataView(fcTL.buffer);
+            view.setUint32(0, sequence++);
+            view.setUint32(4, width);
+            view.setUint32(8, height);
+            // x/y offset 0, dispose op 0 (none), blend op 0 (source)
+            view.setUint16(20, Math.max(1, Math.round(delayMs)));
+            view.setUint16(22, 1000);
+            chunks.push(this.writeChunk('fcTL', fcTL));
+
+            frameChunks.filter(chunk => chunk.type === 'IDAT').forEach(chunk => {
+                if (index === 0) {
+                    chunks.push(this.writeChunk('IDAT', chunk.data));
+                    return;
+                }
+                const fdAT = new Uint8Array(4 + chunk.data.length);
+                new DataView(fdAT.buffer).setUint32(0, sequence++);
+                fdAT.set(chunk.data, 4);
+                chunks.push(this.writeChunk('fdAT', fdAT));
+            });
+        });
+
+        chunks.push(this.writeChunk('IEND', new Uint8Array(0)));
+        return this.concatenate([this.signature, ...chunks]);
+    }
+
+    /**
+     * Split an APNG back into standalone PNG frames; null for a still PNG.
+     * Frame offsets and dispose/blend ops are ignored: HMQC animations
+     * always store whole frames.
+     */
+    extractFrames(bytes) {
+        if (!this.isPng(bytes)) return null;
+
+        const chunks = this.readChunks(bytes);
+        if (!chunks.some(chunk => chunk.type === 'acTL')) return null;
+
+        const ihdr = chunks.find(chunk => chunk.type === 'IHDR').data;
+        const frames = [];
+        let current = null;
+
+        const finish = () => {
+            if (current && current.data.length > 0) {
+                frames.push(this.concatenate([
+                    this.signature,
+                    this.writeChunk('IHDR', current.header),
+                    ...current.data.map(data => this.writeChunk('IDAT', data)),
+                    this.writeChunk('IEND', new Uint8Array(0))
+                ]));
+            }
+        };
+
+        chunks.forEach(({ type, data }) => {
+            if (type === 'fcTL') {
+                finish();
+                const header = ihdr.slice();
+                header.set(data.subarray(4, 12)); // Frame width and height
+                current = { header, data: [] };
+            } else if (type === 'IDAT' && current) {
+                current.data.push(data);
+            } else if (type === 'fdAT' && current) {
+                current.data.push(data.subarray(4));
+            }
+        });
+        finish();
+
+        return frames;
+    }
+
+    isPng(bytes) {
+        return bytes.length > 8 && this.signature.every((byte, i) => bytes[i] === byte);
+    }
+
+    readChunks(bytes) {
+        if (!this.isPng(bytes)) throw new Error('Not a PNG file');
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        const chunks = [];
+        for (let pos = 8; pos + 12 <= bytes.length;) {
+            const length = view.getUint32(pos);
+            const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+            if (pos + 12 + length > bytes.length) throw new Error(`PNG chunk ${type} truncated`);
+            chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + length) });
+            pos += 12 + length;
+            if (type === 'IEND') break;
+        }
+        return chunks;
+    }
+
+    writeChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    /**
+     * CRC-32 (ISO-HDLC), as PNG chunks require
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    concatenate(arrays) {
+        const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+        let offset = 0;
+        arrays.forEach(array => {
+            result.set(array, offset);
+            offset += array.length;
+        });
+        return result;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HMQCAnimation;
+}
@@ -6,17 +6,198 @@
 class HMQCCompressor {
     constructor() {
         this.compressionLevel = 9;
+        this.deflater = new HMQCDeflate();
+        
+        // Codec ids stored in header byte 8 (0 = legacy adaptive pipeline)
+        this.codecs = {
+            adaptive: 0,
+            deflate: 1,
+            stored: 2,
+            audio: 3
+        };
+        
+        // Pre-shared DEFLATE dictionaries, registered by name on both pages
+        // (header carries id + hash). sharedDictionary is used for encoding.
+        this.sharedDictionaries = new Map();
+        this.sharedDictionary = null;
+        this.maxSharedDictionarySize = 32 * 1024; // DEFLATE window
+        this.dictionaryStorageKey = 'hmqc-shared-dictionaries';
+        
+        // Codec trials on larger files only look at this prefix
+        this.sampleSize = 256 * 1024;
+        
+        // Text tokens: ESC + index. 0xF8 never occurs in valid UTF-8;
+        // a literal 0xF8 byte (non-UTF-8 input) is written as ESC + 0xFF.
+        this.textEscape = 0xF8;
+        this.textEscapeLiteral = 0xFF;
+        this.wordPattern = /[\p{L}\p{M}\p{N}\u200C\u200D]+/gu;
+        
+        // Language dictionaries, selected by id in the header (0 = none)
+        this.textDictionaries = {
+            1: {
+                name: 'english',
+                words: [
+                    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'her', 'was', 'one',
+                    'our', 'out', 'day', 'get', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now',
+                    'old', 'see', 'two', 'way', 'who', 'boy', 'did', 'she', 'that', 'with', 'have', 'this',
+                    'will', 'your', 'from', 'they', 'know', 'want', 'been', 'good', 'much', 'some', 'time', 'very',
+                    'when', 'come', 'here', 'just', 'like', 'long', 'make', 'many', 'more', 'only', 'over', 'such',
+                    'take', 'than', 'them', 'well', 'were', 'what', 'which', 'their', 'there', 'would', 'about', 'could',
+                    'other', 'into', 'after', 'first', 'also', 'because', 'these', 'those', 'where', 'while', 'should', 'through',
+                    'before', 'between', 'being', 'under', 'again', 'never', 'people', 'world', 'still', 'every', 'said', 'each',
+                    'does', 'most', 'same', 'think', 'year', 'work', 'back', 'even', 'made', 'The', 'This', 'That',
+                    'There', 'They', 'What', 'When', 'Which', 'And', 'But', 'For', 'You'
+                ]
+            },
+            2: {
+                name: 'bengali',
+                words: [
+                    'এবং', 'করে', 'হয়', 'না', 'এই', 'যে', 'একটি', 'করা', 'থেকে', 'জন্য',
+                    'তার', 'আমি', 'আমার', 'আমরা', 'আমাদের', 'তিনি', 'সে', 'কিন্তু', 'হবে', 'ছিল',
+                    'দিয়ে', 'সঙ্গে', 'নিয়ে', 'করতে', 'হয়েছে', 'কোন', 'কি', 'আর', 'বা', 'ও',
+                    'তা', 'এক', 'তাদের', 'আপনি', 'আপনার', 'তুমি', 'তোমার', 'যা', 'পর', 'মধ্যে',
+                    'সব', 'কথা', 'বাংলা', 'দেশ', 'মানুষ', 'সময়', 'এখন', 'কাজ', 'বলে', 'হলে',
+                    'যদি', 'তবে', 'খুব', 'অনেক', 'কিছু', 'কেন', 'কোথায়', 'কখন', 'এটি', 'সেই',
+                    'উপর', 'নিচে', 'আজ', 'কাল', 'বছর', 'দিন', 'প্রতি', 'সাথে', 'তাই', 'হচ্ছে',
+                    'ছিলেন', 'করেন', 'বলেন', 'দেখা', 'যায়', 'পারে', 'হতে'
+                ]
+            }
+        };
+    }
+
+    /**
+     * Try the candidate codecs and keep the smallest result
+     * Large inputs are trialled on a prefix; stored wins when nothing helps
+     * (PNG, MP3, ZIP and other already-compressed data).
+     */
+    compressBest(data, dataType = 'binary') {
+        const sampled = data.length > this.sampleSize;
+        const sample = sampled ? data.subarray(0, this.sampleSize) : data;
+        
+        const trials = this.getCandidateCodecs(dataType, data).map(name => {
+            const result = this.compress(sample, dataType, name);
+            return { name, size: result.data.length, result };
+        });
+        
+        const best = trials.reduce((a, b) => (b.size < a.size ? b : a));
+        let result = sampled ? this.compress(data, dataType, best.name) : best.result;
+        let name = best.name;
+        
+        if (result.data.length >= data.length) {
+            result = this.compress(data, dataType, 'stored');
+            name = 'stored';
+        }
+        
+        const saved = data.length > 0 ? (1 - result.data.length / data.length) * 100 : 0;
+        const reason = name === 'stored'
+            ? 'no codec made the data smaller (already compressed?)'
+            : `${saved.toFixed(1)}% smaller than raw, best of ${trials.map(t => t.name).join(', ')}` +
+              (sampled ? ` (trialled on first ${this.sampleSize / 1024} KB)` : '');
+        
+        return {
+            ...result,
+            report: {
+                name,
+                reason,
+                sampled,
+                trials: trials.map(({ name, size }) => ({ name, size }))
+            }
+        };
+    }
+
+    getCandidateCodecs(dataType, data) {
+        if (dataType === 'audio') {
+            // Compressed containers (MP3, OGG, AAC...) pass through untouched
+            const wav = this.parseWav(data);
+            if (!wav) return ['stored'];
+            return wav.pcm ? ['stored', 'deflate', 'audio'] : ['stored', 'deflate'];
+        }
+        
+        const candidates = ['stored', 'deflate', 'adaptive'];
+        if (dataType === 'text') candidates.push('dictionary+deflate');
+        if (this.sharedDictionary) candidates.push('shared+deflate');
+        return candidates;
+    }
+
+    /**
+     * Compress with the given codec at this.compressionLevel
+     * Returns the compressed bytes plus the codec and text dictionary ids for the header.
+     */
+    compress(data, dataType = 'binary', codec = 'deflate') {
+        switch (codec) {
+            case 'stored':
+                return { data: new Uint8Array(data), codec: this.codecs.stored, textDictionary: 0 };
+            case 'deflate':
+                return {
+                    data: this.deflater.deflate(data, this.compressionLevel),
+                    codec: this.codecs.deflate,
+                    textDictionary: 0
+                };
+            case 'dictionary+deflate': {
+                // Word tokens first, then LZ77 over the token stream. Without a
+                // dictionary (id 0) the decoder skips decompressText, so the
+                // bytes must go in unescaped.
+                const textDictionary = this.selectTextDictionary(data);
+                const tokens = textDictionary ? this.compressText(data, textDictionary) : data;
+                return {
+                    data: this.deflater.deflate(tokens, this.compressionLevel),
+                    codec: this.codecs.deflate,
+                    textDictionary
+                };
+            }
+            case 'shared+deflate': {
+                const { id, hash, bytes } = this.sharedDictionary;
+                return {
+                    data: this.deflater.deflate(data, this.compressionLevel, bytes),
+                    codec: this.codecs.deflate,
+                    textDictionary: 0,
+                    sharedDictionary: { id, hash }
+                };
+            }
+            case 'audio':
+                return { data: this.compressAudioData(data), codec: this.codecs.audio, textDictionary: 0 };
+            case 'adaptive':
+                return { ...this.compressAdaptive(data, dataType), codec: this.codecs.adaptive };
+            default:
+                throw new Error(`Unknown codec: ${codec}`);
+        }
+    }
+
+    decompress(data, dataType = 'binary', options = {}) {
+        const codec = options.codec || 0;
+        
+        switch (codec) {
+            case this.codecs.stored:
+                return new Uint8Array(data);
+            case this.codecs.deflate: {
+                const preset = options.sharedDictionary
+                    ? this.getSharedDictionary(options.sharedDictionary.id, options.sharedDictionary.hash).bytes
+                    : null;
+                const inflated = this.deflater.inflate(data, preset);
+                return options.textDictionary
+                    ? this.decompressText(inflated, options.textDictionary)
+                    : inflated;
+            }
+            case this.codecs.audio:
+                return this.decompressAudioData(data);
+            case this.codecs.adaptive:
+                return this.decompressAdaptive(data, dataType, options);
+            default:
+                throw new Error(`Unknown compression codec ${codec}. Please update the decoder.`);
+        }
     }
 
     /**
-     * Adaptive compression based on data type
+     * Legacy adaptive pipeline based on data type, with a final RLE pass
      */
-    compress(data, dataType = 'binary') {
+    compressAdaptive(data, dataType) {
         let compressed;
+        let textDictionary = 0;
         
         switch (dataType) {
             case 'text':
-                compressed = this.compressText(data);
+                textDictionary = this.selectTextDictionary(data);
+                compressed = this.compressText(data, textDictionary);
                 break;
             case 'image':
                 compressed = this.compressImageData(data);
@@ -29,16 +210,19 @@ class HMQCCompressor {
         }
         
         // Final pass: RLE for repetitive patterns
-        return this.runLengthEncode(compressed);
+        return {
+            data: this.runLengthEncode(compressed),
+            textDictionary
+        };
     }
 
-    decompress(data, dataType = 'binary') {
+    decompressAdaptive(data, dataType, options = {}) {
         // First pass: RLE decode
         let decompressed = this.runLengthDecode(data);
         
         switch (dataType) {
             case 'text':
-                return this.decompressText(decompressed);
+                return this.decompressText(decompressed, options.textDictionary || 0);
             case 'image':
                 return this.decompressImageData(decompressed);
             case 'audio':
@@ -49,79 +233,302 @@ class HMQCCompressor {
     }
 
     /**
-     * Text-specific compression
+     * Strict UTF-8 decode; null when the bytes are not valid UTF-8
      */
-    compressText(text) {
-        const encoder = new TextEncoder();
-        const bytes = encoder.encode(text);
+    decodeUtf8(bytes) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Register a named shared dictionary (id defaults to a hash of the name)
+     */
+    registerDictionary(name, bytes, id = null) {
+        if (!name) throw new Error('A shared dictionary needs a name');
+        if (bytes.length === 0) throw new Error(`Shared dictionary "${name}" is empty`);
         
-        // Dictionary for common words
         const dictionary = {
-            'the': 0x80, 'and': 0x81, 'for': 0x82, 'are': 0x83,
-            'but': 0x84, 'not': 0x85, 'you': 0x86, 'all': 0x87,
-            'can': 0x88, 'her': 0x89, 'was': 0x8A, 'one': 0x8B,
-            'our': 0x8C, 'out': 0x8D, 'day': 0x8E, 'get': 0x8F,
-            'has': 0x90, 'him': 0x91, 'his': 0x92, 'how': 0x93,
-            'its': 0x94, 'may': 0x95, 'new': 0x96, 'now': 0x97,
-            'old': 0x98, 'see': 0x99, 'two': 0x9A, 'way': 0x9B,
-            'who': 0x9C, 'boy': 0x9D, 'did': 0x9E, 'she': 0x9F
+            name,
+            id: id === null ? this.dictionaryIdFromName(name) : id,
+            hash: this.hashDictionary(bytes),
+            bytes: bytes.slice(Math.max(0, bytes.length - this.maxSharedDictionarySize))
         };
         
-        const result = [];
-        let i = 0;
+        const existing = this.sharedDictionaries.get(dictionary.id);
+        if (existing && existing.name !== name) {
+            throw new Error(`Dictionary id ${dictionary.id} is already used by "${existing.name}". Rename "${name}".`);
+        }
         
-        while (i < bytes.length) {
-            let found = false;
+        this.sharedDictionaries.set(dictionary.id, dictionary);
+        return dictionary;
+    }
+
+    /**
+     * Dictionary for a header reference, or a clear error when it is missing
+     */
+    getSharedDictionary(id, hash) {
+        const dictionary = this.sharedDictionaries.get(id);
+        const hex = (value) => value.toString(16).toUpperCase().padStart(8, '0');
+        
+        if (!dictionary) {
+            throw new Error(`This code was compressed with shared dictionary #${id} (hash ${hex(hash)}), which is not loaded. Load the matching dictionary and decode again.`);
+        }
+        if (dictionary.hash !== hash) {
+            throw new Error(`Shared dictionary "${dictionary.name}" (#${id}) does not match the one used to encode (hash ${hex(dictionary.hash)}, expected ${hex(hash)}).`);
+        }
+        return dictionary;
+    }
+
+    dictionaryIdFromName(name) {
+        const id = this.hashDictionary(new TextEncoder().encode(name)) & 0xFFFF;
+        return id === 0 ? 1 : id; // 0 is never written
+    }
+
+    /**
+     * FNV-1a 32-bit
+     */
+    hashDictionary(bytes) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash = Math.imul(hash ^ bytes[i], 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Build a dictionary from sample files: greedily keep the 64-byte
+     * segments whose 6-byte substrings recur most across the samples.
+     * Deterministic, so both pages get the same bytes from the same samples.
+     */
+    trainDictionary(samples, maxSize = this.maxSharedDictionarySize) {
+        const gram = 6;
+        const segmentLength = 64;
+        const step = 16;
+        const counts = new Map();
+        
+        samples.forEach(sample => {
+            for (let i = 0; i + gram <= sample.length; i++) {
+                const key = this.patternKey(sample, i, gram);
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        });
+        
+        const segmentKeys = (sample, start, end) => {
+            const keys = new Set();
+            for (let i = start; i + gram <= end; i++) keys.add(this.patternKey(sample, i, gram));
+            return keys;
+        };
+        const score = (keys, covered) => {
+            let total = 0;
+            keys.forEach(key => {
+                const count = counts.get(key);
+                if (count > 1 && !covered.has(key)) total += count;
+            });
+            return total;
+        };
+        
+        const candidates = [];
+        samples.forEach(sample => {
+            for (let start = 0; start < sample.length; start += step) {
+                const end = Math.min(sample.length, start + segmentLength);
+                const keys = segmentKeys(sample, start, end);
+                const value = score(keys, new Set());
+                if (value > 0) candidates.push({ sample, start, end, value });
+            }
+        });
+        candidates.sort((a, b) => b.value - a.value);
+        
+        const covered = new Set();
+        const chosen = [];
+        let size = 0;
+        
+        for (const candidate of candidates) {
+            if (size >= maxSize) break;
+            const keys = segmentKeys(candidate.sample, candidate.start, candidate.end);
+            if (score(keys, covered) * 2 < candidate.value) continue; // Mostly a repeat
             
-            // Check dictionary (2-3 letter words)
-            for (let len = 3; len >= 2; len--) {
-                if (i + len <= bytes.length) {
-                    const word = String.fromCharCode(...bytes.slice(i, i + len));
-                    if (dictionary[word]) {
-                        result.push(dictionary[word]);
-                        i += len;
-                        found = true;
-                        break;
-                    }
+            keys.forEach(key => covered.add(key));
+            chosen.push(candidate.sample.subarray(candidate.start, candidate.end));
+            size += candidate.end - candidate.start;
+        }
+        
+        // Most useful segments last: shortest match distances
+        const dictionary = new Uint8Array(size);
+        let offset = 0;
+        chosen.reverse().forEach(segment => {
+            dictionary.set(segment, offset);
+            offset += segment.length;
+        });
+        return dictionary.slice(Math.max(0, size - maxSize));
+    }
+
+    buildDictionary(name, samples) {
+        const bytes = this.trainDictionary(samples);
+        if (bytes.length === 0) {
+            throw new Error('The samples share no repeated content to build a dictionary from');
+        }
+        return this.registerDictionary(name, bytes);
+    }
+
+    /**
+     * JSON form: { "format": "hmqc-dictionary", "name", "id", "hash", "data" (base64) }
+     * A plain { "name", "text" } is accepted for hand-written dictionaries.
+     */
+    dictionaryFromJSON(json) {
+        const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+        let bytes;
+        
+        if (typeof parsed.data === 'string') {
+            bytes = Uint8Array.from(atob(parsed.data), c => c.charCodeAt(0));
+        } else if (typeof parsed.text === 'string') {
+            bytes = new TextEncoder().encode(parsed.text);
+        } else {
+            throw new Error('Dictionary JSON needs a "data" (base64) or "text" field');
+        }
+        
+        if (parsed.hash && parseInt(parsed.hash, 16) !== this.hashDictionary(bytes)) {
+            throw new Error(`Dictionary "${parsed.name}" is damaged: content does not match its hash`);
+        }
+        return this.registerDictionary(parsed.name, bytes, Number.isInteger(parsed.id) ? parsed.id : null);
+    }
+
+    dictionaryToJSON(dictionary) {
+        let binary = '';
+        for (let i = 0; i < dictionary.bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, dictionary.bytes.subarray(i, i + 0x8000));
+        }
+        
+        return JSON.stringify({
+            format: 'hmqc-dictionary',
+            name: dictionary.name,
+            id: dictionary.id,
+            hash: dictionary.hash.toString(16).toUpperCase().padStart(8, '0'),
+            data: btoa(binary)
+        }, null, 2);
+    }
+
+    /**
+     * Keep registered dictionaries across page loads (browser only)
+     */
+    loadStoredDictionaries() {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.dictionaryStorageKey) || '[]');
+            stored.forEach(entry => this.dictionaryFromJSON(entry));
+        } catch (error) {
+            console.warn('Could not restore shared dictionaries:', error);
+        }
+    }
+
+    storeDictionaries() {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            const entries = Array.from(this.sharedDictionaries.values())
+                .map(dictionary => JSON.parse(this.dictionaryToJSON(dictionary)));
+            localStorage.setItem(this.dictionaryStorageKey, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('Could not save shared dictionaries:', error);
+        }
+    }
+
+    /**
+     * Pick the language dictionary with the most whole-word hits
+     */
+    selectTextDictionary(bytes) {
+        const text = this.decodeUtf8(bytes);
+        if (text === null) return 0;
+        
+        let best = 0;
+        let bestHits = 0;
+        
+        Object.entries(this.textDictionaries).forEach(([id, dictionary]) => {
+            const words = new Set(dictionary.words);
+            let hits = 0;
+            for (const match of text.matchAll(this.wordPattern)) {
+                if (words.has(match[0])) hits++;
+            }
+            if (hits > bestHits) {
+                best = Number(id);
+                bestHits = hits;
+            }
+        });
+        
+        return best;
+    }
+
+    /**
+     * Text-specific compression
+     * Whole words found in the dictionary become ESC + index tokens;
+     * everything else is copied byte for byte (ESC itself escaped).
+     */
+    compressText(bytes, dictionaryId = 0) {
+        const result = [];
+        const pushLiteral = (segment) => {
+            for (let i = 0; i < segment.length; i++) {
+                if (segment[i] === this.textEscape) {
+                    result.push(this.textEscape, this.textEscapeLiteral);
+                } else {
+                    result.push(segment[i]);
                 }
             }
+        };
+        
+        const text = dictionaryId ? this.decodeUtf8(bytes) : null;
+        if (text === null) {
+            pushLiteral(bytes);
+            return new Uint8Array(result);
+        }
+        
+        const encoder = new TextEncoder();
+        const index = new Map(this.textDictionaries[dictionaryId].words.map((word, i) => [word, i]));
+        let last = 0;
+        
+        for (const match of text.matchAll(this.wordPattern)) {
+            const token = index.get(match[0]);
+            if (token === undefined) continue;
             
-            if (!found) {
-                result.push(bytes[i]);
-                i++;
-            }
+            pushLiteral(encoder.encode(text.slice(last, match.index)));
+            result.push(this.textEscape, token);
+            last = match.index + match[0].length;
         }
+        pushLiteral(encoder.encode(text.slice(last)));
         
         return new Uint8Array(result);
     }
 
-    decompressText(compressed) {
-        const reverseDict = {
-            0x80: 'the', 0x81: 'and', 0x82: 'for', 0x83: 'are',
-            0x84: 'but', 0x85: 'not', 0x86: 'you', 0x87: 'all',
-            0x88: 'can', 0x89: 'her', 0x8A: 'was', 0x8B: 'one',
-            0x8C: 'our', 0x8D: 'out', 0x8E: 'day', 0x8F: 'get',
-            0x90: 'has', 0x91: 'him', 0x92: 'his', 0x93: 'how',
-            0x94: 'its', 0x95: 'may', 0x96: 'new', 0x97: 'now',
-            0x98: 'old', 0x99: 'see', 0x9A: 'two', 0x9B: 'way',
-            0x9C: 'who', 0x9D: 'boy', 0x9E: 'did', 0x9F: 'she'
-        };
+    decompressText(compressed, dictionaryId = 0) {
+        const dictionary = this.textDictionaries[dictionaryId];
+        if (dictionaryId && !dictionary) {
+            throw new Error(`Unknown text dictionary id ${dictionaryId}`);
+        }
         
+        const encoder = new TextEncoder();
+        const words = dictionary ? dictionary.words.map(word => encoder.encode(word)) : [];
         const result = [];
         
         for (let i = 0; i < compressed.length; i++) {
             const byte = compressed[i];
-            if (reverseDict[byte]) {
-                for (const char of reverseDict[byte]) {
-                    result.push(char.charCodeAt(0));
-                }
-            } else {
+            if (byte !== this.textEscape) {
                 result.push(byte);
+                continue;
+            }
+            
+            const code = compressed[++i];
+            if (code === this.textEscapeLiteral) {
+                result.push(this.textEscape);
+            } else if (words[code]) {
+                result.push(...words[code]);
+            } else {
+                throw new Error(`Invalid text token ${code}`);
             }
         }
         
-        const decoder = new TextDecoder();
-        return decoder.decode(new Uint8Array(result));
+        return new Uint8Array(result);
     }
 
     /**
@@ -129,63 +536,57 @@ class HMQCCompressor {
      */
     compressBinary(bytes) {
         // Delta encoding for similar bytes
-        const delta = [bytes[0]];
-        for (let i = 1; i < bytes.length; i++) {
-            delta.push((bytes[i] - bytes[i-1]) & 0xFF);
+        const delta = new Uint8Array(bytes.length);
+        for (let i = 0; i < bytes.length; i++) {
+            delta[i] = (bytes[i] - (i > 0 ? bytes[i - 1] : 0)) & 0xFF;
         }
         
         // Frequency analysis and encoding
-        return this.encodeFrequentPatterns(new Uint8Array(delta));
+        return this.encodeFrequentPatterns(delta);
     }
 
     decompressBinary(compressed) {
         const delta = this.decodeFrequentPatterns(compressed);
-        const bytes = [delta[0]];
+        const bytes = new Uint8Array(delta.length);
         
-        for (let i = 1; i < delta.length; i++) {
-            bytes.push((bytes[i-1] + delta[i]) & 0xFF);
+        for (let i = 0; i < delta.length; i++) {
+            bytes[i] = ((i > 0 ? bytes[i - 1] : 0) + delta[i]) & 0xFF;
         }
         
-        return new Uint8Array(bytes);
+        return bytes;
     }
 
     /**
      * Pattern-based compression
+     * Layout: [count] then count × [length, ...pattern bytes], then the
+     * stream. Codes are 0xA0 + index; literal bytes that collide with a
+     * code or with the escape byte 0xB0 are written as 0xB0, byte.
      */
     encodeFrequentPatterns(bytes) {
-        const patterns = new Map();
-        const result = [];
-        
-        // Find frequent sequences (3-5 bytes)
-        for (let len = 5; len >= 3; len--) {
-            for (let i = 0; i <= bytes.length - len; i++) {
-                const seq = bytes.slice(i, i + len).join(',');
-                patterns.set(seq, (patterns.get(seq) || 0) + 1);
-            }
-        }
-        
-        // Sort by frequency
-        const topPatterns = Array.from(patterns.entries())
-            .filter(([_, count]) => count > 3)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 16);
+        const codeBase = 0xA0;
+        const escape = 0xB0;
+        const topPatterns = this.findFrequentPatterns(bytes);
         
         // Create encoding map
         const encodeMap = new Map();
-        topPatterns.forEach(([pattern], index) => {
-            encodeMap.set(pattern, 0xA0 + index);
+        topPatterns.forEach((pattern, index) => {
+            encodeMap.set(this.patternKey(pattern, 0, pattern.length), codeBase + index);
         });
         
+        // Serialized pattern table
+        const result = [topPatterns.length];
+        topPatterns.forEach(pattern => result.push(pattern.length, ...pattern));
+        
         // Encode
         let i = 0;
         while (i < bytes.length) {
             let encoded = false;
             
-            for (let len = 5; len >= 3; len--) {
+            for (let len = 5; len >= 3 && encodeMap.size > 0; len--) {
                 if (i + len <= bytes.length) {
-                    const seq = bytes.slice(i, i + len).join(',');
-                    if (encodeMap.has(seq)) {
-                        result.push(encodeMap.get(seq));
+                    const code = encodeMap.get(this.patternKey(bytes, i, len));
+                    if (code !== undefined) {
+                        result.push(code);
                         i += len;
                         encoded = true;
                         break;
@@ -194,39 +595,92 @@ class HMQCCompressor {
             }
             
             if (!encoded) {
-                result.push(bytes[i]);
+                const byte = bytes[i];
+                if (byte === escape || (byte >= codeBase && byte < codeBase + topPatterns.length)) {
+                    result.push(escape);
+                }
+                result.push(byte);
                 i++;
             }
         }
         
-        // Add pattern dictionary at start
-        const dictionary = new Uint8Array([...topPatterns.map(([_, code]) => code), 0xFF]);
-        return this.concatenateArrays(dictionary, new Uint8Array(result));
+        return new Uint8Array(result);
     }
 
     decodeFrequentPatterns(compressed) {
+        const codeBase = 0xA0;
+        const escape = 0xB0;
         const result = [];
         const patternTable = [];
         
+        if (compressed.length === 0) return new Uint8Array(0);
+        
         // Read dictionary
-        let dictEnd = 0;
-        while (dictEnd < compressed.length && compressed[dictEnd] !== 0xFF) {
-            dictEnd++;
+        const count = compressed[0];
+        let pos = 1;
+        for (let p = 0; p < count; p++) {
+            const len = compressed[pos];
+            patternTable.push(compressed.slice(pos + 1, pos + 1 + len));
+            pos += 1 + len;
         }
         
-        // Simplified decoding
-        for (let i = dictEnd + 1; i < compressed.length; i++) {
-            if (compressed[i] >= 0xA0 && compressed[i] <= 0xAF) {
-                // Pattern reference - simplified
-                result.push(0, 0, 0); // Placeholder
+        if (pos > compressed.length) {
+            throw new Error('Pattern table truncated');
+        }
+        
+        for (let i = pos; i < compressed.length; i++) {
+            const byte = compressed[i];
+            if (byte === escape) {
+                result.push(compressed[++i]);
+            } else if (byte >= codeBase && byte < codeBase + count) {
+                result.push(...patternTable[byte - codeBase]);
             } else {
-                result.push(compressed[i]);
+                result.push(byte);
             }
         }
         
         return new Uint8Array(result);
     }
 
+    /**
+     * Find up to 16 frequent 3-5 byte sequences
+     * Counting runs over a 256 KB sample to bound memory on large files.
+     */
+    findFrequentPatterns(bytes) {
+        const sample = bytes.subarray(0, 256 * 1024);
+        const patterns = new Map();
+        
+        for (let len = 5; len >= 3; len--) {
+            for (let i = 0; i <= sample.length - len; i++) {
+                const key = this.patternKey(sample, i, len);
+                const entry = patterns.get(key);
+                if (entry) {
+                    entry.count++;
+                } else {
+                    patterns.set(key, { count: 1, start: i, len });
+                }
+            }
+        }
+        
+        // Sort by frequency
+        return Array.from(patterns.values())
+            .filter(entry => entry.count > 3)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 16)
+            .map(entry => sample.slice(entry.start, entry.start + entry.len));
+    }
+
+    /**
+     * Numeric key for a 3-5 byte sequence (length-tagged, fits in 2^53)
+     */
+    patternKey(bytes, start, len) {
+        let key = len;
+        for (let j = 0; j < len; j++) {
+            key = key * 256 + bytes[start + j];
+        }
+        return key;
+    }
+
     /**
      * Run-Length Encoding (RLE) for repetitive data
      */
@@ -297,35 +751,304 @@ class HMQCCompressor {
 
     /**
      * Audio-specific compression
+     * PCM WAV: header and trailing chunks kept verbatim, samples coded with
+     * FLAC-style fixed predictors (order 0-4) and Rice-coded residuals.
+     * Anything else (MP3, OGG, AAC, float WAV...) passes through untouched.
+     * Layout: [mode] then, for mode 1: dataOffset u32, frames u32,
+     * channels u8, sampleBytes u8, blockSize u16, header, tail u32 + bytes, bits
      */
     compressAudioData(bytes) {
-        // Delta PCM encoding
-        const result = [bytes[0], bytes[1]]; // Keep first sample
+        const wav = this.parseWav(bytes);
+        if (!wav || !wav.pcm) {
+            return this.concatenateArrays(new Uint8Array([0]), bytes);
+        }
         
-        for (let i = 2; i < bytes.length; i += 2) {
-            const sample = bytes[i] | (bytes[i + 1] << 8);
-            const prev = bytes[i - 2] | (bytes[i - 1] << 8);
-            const delta = (sample - prev) & 0xFFFF;
-            
-            result.push(delta & 0xFF, delta >> 8);
+        const { dataOffset, frames, channels, sampleBytes } = wav;
+        const blockSize = 4096;
+        const tailStart = dataOffset + frames * channels * sampleBytes;
+        const tail = bytes.subarray(tailStart);
+        
+        const head = new Uint8Array(13 + dataOffset + 4 + tail.length);
+        const view = new DataView(head.buffer);
+        head[0] = 1;
+        view.setUint32(1, dataOffset);
+        view.setUint32(5, frames);
+        view.setUint8(9, channels);
+        view.setUint8(10, sampleBytes);
+        view.setUint16(11, blockSize);
+        head.set(bytes.subarray(0, dataOffset), 13);
+        view.setUint32(13 + dataOffset, tail.length);
+        head.set(tail, 17 + dataOffset);
+        
+        const writer = this.deflater.createBitWriter(frames * channels * sampleBytes / 2);
+        const samples = this.readPcmSamples(bytes, wav);
+        
+        for (let ch = 0; ch < channels; ch++) {
+            const channel = samples[ch];
+            for (let blockStart = 0; blockStart < frames; blockStart += blockSize) {
+                const blockEnd = Math.min(frames, blockStart + blockSize);
+                const { order, residuals } = this.predictBlock(channel, blockStart, blockEnd);
+                const k = this.chooseRiceParameter(residuals);
+                
+                writer.writeBits(order, 3);
+                writer.writeBits(k, 6);
+                residuals.forEach(r => this.writeRice(writer, r, k));
+            }
         }
         
-        return this.compressBinary(new Uint8Array(result));
+        return this.concatenateArrays(head, writer.finish());
     }
 
     decompressAudioData(compressed) {
-        const delta = this.decompressBinary(compressed);
-        const result = [delta[0], delta[1]];
+        if (compressed[0] === 0) {
+            return compressed.slice(1);
+        }
+        if (compressed[0] !== 1) {
+            throw new Error('Unknown audio coding mode');
+        }
+        
+        const view = new DataView(compressed.buffer, compressed.byteOffset, compressed.length);
+        const dataOffset = view.getUint32(1);
+        const frames = view.getUint32(5);
+        const channels = view.getUint8(9);
+        const sampleBytes = view.getUint8(10);
+        const blockSize = view.getUint16(11);
+        const header = compressed.subarray(13, 13 + dataOffset);
+        const tailLength = view.getUint32(13 + dataOffset);
+        const tail = compressed.subarray(17 + dataOffset, 17 + dataOffset + tailLength);
+        const reader = this.createBitReader(compressed, 17 + dataOffset + tailLength);
+        
+        const samples = [];
+        for (let ch = 0; ch < channels; ch++) {
+            const channel = new Float64Array(frames);
+            for (let blockStart = 0; blockStart < frames; blockStart += blockSize) {
+                const blockEnd = Math.min(frames, blockStart + blockSize);
+                const order = reader.readBits(3);
+                const k = reader.readBits(6);
+                
+                for (let n = blockStart; n < blockEnd; n++) {
+                    channel[n] = this.fixedPrediction(channel, n, order) + this.readRice(reader, k);
+                }
+            }
+            samples.push(channel);
+        }
+        
+        const result = new Uint8Array(dataOffset + frames * channels * sampleBytes + tail.length);
+        result.set(header, 0);
+        this.writePcmSamples(result, dataOffset, samples, sampleBytes);
+        result.set(tail, dataOffset + frames * channels * sampleBytes);
+        return result;
+    }
+
+    /**
+     * Locate fmt/data chunks of a RIFF/WAVE file
+     * pcm is true for integer PCM with 1-4 byte samples.
+     */
+    parseWav(bytes) {
+        if (bytes.length < 12) return null;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        
+        if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
         
-        for (let i = 2; i < delta.length; i += 2) {
-            const deltaVal = delta[i] | (delta[i + 1] << 8);
-            const prev = result[i - 2] | (result[i - 1] << 8);
-            const sample = (prev + deltaVal) & 0xFFFF;
+        let fmt = null;
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const id = tag(offset);
+            const size = view.getUint32(offset + 4, true);
             
-            result.push(sample & 0xFF, sample >> 8);
+            if (id === 'fmt ' && size >= 16 && offset + 24 <= bytes.length) {
+                let format = view.getUint16(offset + 8, true);
+                // WAVE_FORMAT_EXTENSIBLE: the sub-format GUID starts with the real format tag
+                if (format === 0xFFFE && size >= 40 && offset + 34 <= bytes.length) {
+                    format = view.getUint16(offset + 32, true);
+                }
+                fmt = {
+                    format,
+                    channels: view.getUint16(offset + 10, true),
+                    blockAlign: view.getUint16(offset + 20, true)
+                };
+            } else if (id === 'data') {
+                if (!fmt) return { pcm: false };
+                
+                const dataOffset = offset + 8;
+                const dataSize = Math.min(size, bytes.length - dataOffset);
+                const sampleBytes = fmt.channels > 0 ? fmt.blockAlign / fmt.channels : 0;
+                const pcm = fmt.format === 1 && fmt.channels > 0 && fmt.channels < 256 &&
+                    Number.isInteger(sampleBytes) && sampleBytes >= 1 && sampleBytes <= 4;
+                
+                return {
+                    pcm,
+                    dataOffset,
+                    channels: fmt.channels,
+                    sampleBytes,
+                    frames: pcm ? Math.floor(dataSize / fmt.blockAlign) : 0
+                };
+            }
+            
+            offset += 8 + size + (size & 1); // Chunks are word aligned
         }
         
-        return new Uint8Array(result);
+        return { pcm: false };
+    }
+
+    /**
+     * De-interleave little-endian PCM into one signed array per channel
+     * (8-bit WAV is unsigned, centred on 128)
+     */
+    readPcmSamples(bytes, { dataOffset, frames, channels, sampleBytes }) {
+        const samples = [];
+        for (let ch = 0; ch < channels; ch++) samples.push(new Float64Array(frames));
+        
+        let pos = dataOffset;
+        for (let n = 0; n < frames; n++) {
+            for (let ch = 0; ch < channels; ch++) {
+                let value = 0;
+                for (let b = sampleBytes - 1; b >= 0; b--) {
+                    value = value * 256 + bytes[pos + b];
+                }
+                if (sampleBytes === 1) {
+                    value -= 128;
+                } else if (value >= Math.pow(2, sampleBytes * 8 - 1)) {
+                    value -= Math.pow(2, sampleBytes * 8);
+                }
+                samples[ch][n] = value;
+                pos += sampleBytes;
+            }
+        }
+        
+        return samples;
+    }
+
+    writePcmSamples(target, offset, samples, sampleBytes) {
+        const frames = samples.length > 0 ? samples[0].length : 0;
+        const range = Math.pow(2, sampleBytes * 8);
+        let pos = offset;
+        
+        for (let n = 0; n < frames; n++) {
+            for (let ch = 0; ch < samples.length; ch++) {
+                let value = samples[ch][n] + (sampleBytes === 1 ? 128 : 0);
+                if (value < 0) value += range;
+                for (let b = 0; b < sampleBytes; b++) {
+                    target[pos++] = value % 256;
+                    value = Math.floor(value / 256);
+                }
+            }
+        }
+    }
+
+    /**
+     * FLAC fixed predictors; samples before the start count as silence
+     */
+    fixedPrediction(x, n, order) {
+        const s = (i) => (n - i >= 0 ? x[n - i] : 0);
+        switch (order) {
+            case 0: return 0;
+            case 1: return s(1);
+            case 2: return 2 * s(1) - s(2);
+            case 3: return 3 * s(1) - 3 * s(2) + s(3);
+            default: return 4 * s(1) - 6 * s(2) + 4 * s(3) - s(4);
+        }
+    }
+
+    /**
+     * Pick the predictor order with the smallest total residual
+     */
+    predictBlock(channel, start, end) {
+        let best = null;
+        
+        for (let order = 0; order <= 4; order++) {
+            const residuals = new Float64Array(end - start);
+            let cost = 0;
+            for (let n = start; n < end; n++) {
+                const r = channel[n] - this.fixedPrediction(channel, n, order);
+                residuals[n - start] = r;
+                cost += Math.abs(r);
+            }
+            if (!best || cost < best.cost) {
+                best = { order, residuals, cost };
+            }
+        }
+        
+        return best;
+    }
+
+    chooseRiceParameter(residuals) {
+        let sum = 0;
+        residuals.forEach(r => { sum += r >= 0 ? 2 * r : -2 * r - 1; });
+        const mean = residuals.length > 0 ? sum / residuals.length : 0;
+        return Math.max(0, Math.min(40, Math.floor(Math.log2(mean + 1))));
+    }
+
+    /**
+     * Zig-zag + Rice code; quotients of 31 or more escape to a raw 48-bit value
+     */
+    writeRice(writer, residual, k) {
+        const u = residual >= 0 ? 2 * residual : -2 * residual - 1;
+        const divisor = Math.pow(2, k);
+        const q = Math.floor(u / divisor);
+        
+        if (q >= 31) {
+            this.writeWideBits(writer, 0x7FFFFFFF, 31);
+            this.writeWideBits(writer, u, 48);
+            return;
+        }
+        
+        this.writeWideBits(writer, Math.pow(2, q) - 1, q);
+        writer.writeBits(0, 1);
+        this.writeWideBits(writer, u - q * divisor, k);
+    }
+
+    readRice(reader, k) {
+        let q = 0;
+        while (q < 31 && reader.readBits(1) === 1) q++;
+        
+        const u = q === 31
+            ? this.readWideBits(reader, 48)
+            : q * Math.pow(2, k) + this.readWideBits(reader, k);
+        return u % 2 === 0 ? u / 2 : -(u + 1) / 2;
+    }
+
+    /**
+     * Write/read values wider than 16 bits in 16-bit pieces, low bits first
+     */
+    writeWideBits(writer, value, count) {
+        for (let done = 0; done < count; done += 16) {
+            const piece = Math.min(16, count - done);
+            writer.writeBits(Math.floor(value / Math.pow(2, done)) % 65536, piece);
+        }
+    }
+
+    readWideBits(reader, count) {
+        let value = 0;
+        for (let done = 0; done < count; done += 16) {
+            const piece = Math.min(16, count - done);
+            value += reader.readBits(piece) * Math.pow(2, done);
+        }
+        return value;
+    }
+
+    /**
+     * LSB-first bit reader matching HMQCDeflate's bit writer
+     */
+    createBitReader(bytes, start = 0) {
+        let pos = start;
+        let bitBuf = 0;
+        let bitCount = 0;
+        
+        return {
+            readBits(count) {
+                while (bitCount < count) {
+                    if (pos >= bytes.length) throw new Error('Audio stream truncated');
+                    bitBuf |= bytes[pos++] << bitCount;
+                    bitCount += 8;
+                }
+                const value = bitBuf & ((1 << count) - 1);
+                bitBuf >>>= count;
+                bitCount -= count;
+                return value;
+            }
+        };
     }
 
     concatenateArrays(arr1, arr2) {
@@ -0,0 +1,107 @@
+/**
+ * HMQC Compressor round-trip tests
+ * Run with: node js/compression.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+global.HMQCDeflate = require('./deflate.js');
+const HMQCCompressor = require('./compression.js');
+
+const compressor = new HMQCCompressor();
+
+/**
+ * mulberry32, so a failing case can be replayed from its seed
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random payloads of several shapes: uniform bytes, bytes drawn from the
+ * code/escape range 0xA0-0xB0, and repeated short runs that give the
+ * pattern table something to find
+ */
+function randomPayload(random) {
+    const length = Math.floor(random() * 4096);
+    const bytes = new Uint8Array(length);
+    const shape = Math.floor(random() * 3);
+
+    for (let i = 0; i < length; i++) {
+        if (shape === 0) {
+            bytes[i] = Math.floor(random() * 256);
+        } else if (shape === 1) {
+            bytes[i] = 0xA0 + Math.floor(random() * 17);
+        } else {
+            const run = [0, 0, 0, 0xA3, 0xB0, 0xFF][i % 6];
+            bytes[i] = random() < 0.9 ? run : Math.floor(random() * 256);
+        }
+    }
+    return bytes;
+}
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}`);
+        console.error(error);
+        process.exitCode = 1;
+    }
+}
+
+test('frequent patterns round-trip random payloads', () => {
+    for (let seed = 1; seed <= 200; seed++) {
+        const bytes = randomPayload(createRandom(seed));
+        const decoded = compressor.decodeFrequentPatterns(compressor.encodeFrequentPatterns(bytes));
+        assert.deepStrictEqual(decoded, bytes, `seed ${seed}`);
+    }
+});
+
+test('binary pipeline round-trips random payloads', () => {
+    for (let seed = 1; seed <= 200; seed++) {
+        const bytes = randomPayload(createRandom(seed));
+        const decoded = compressor.decompressBinary(compressor.compressBinary(bytes));
+        assert.deepStrictEqual(decoded, bytes, `seed ${seed}`);
+    }
+});
+
+test('adaptive codec round-trips real files', () => {
+    const root = path.join(__dirname, '..');
+    const files = ['LICENSE', 'index.html', 'css/style.css', 'js/deflate.js', 'js/hmqc-core.js'];
+
+    files.forEach(file => {
+        const bytes = new Uint8Array(fs.readFileSync(path.join(root, file)));
+        ['binary', 'image', 'text'].forEach(dataType => {
+            const { data, textDictionary } = compressor.compress(bytes, dataType, 'adaptive');
+            const decoded = compressor.decompress(data, dataType, { codec: compressor.codecs.adaptive, textDictionary });
+            assert.deepStrictEqual(decoded, bytes, `${file} as ${dataType}`);
+        });
+    });
+});
+
+test('text codecs round-trip literal 0xF8 bytes', () => {
+    const english = new TextEncoder().encode('the word and the escape ');
+    const inputs = [
+        new Uint8Array([0xF8, 0x41, 0xF8, 0xFF, 0xF8]), // Not UTF-8: no dictionary
+        new Uint8Array([...english, 0xF8, 0xFF, ...english]) // Not UTF-8 either, but wordy
+    ];
+
+    inputs.forEach((bytes, i) => {
+        ['dictionary+deflate', 'adaptive'].forEach(codec => {
+            const { data, codec: id, textDictionary } = compressor.compress(bytes, 'text', codec);
+            const decoded = compressor.decompress(data, 'text', { codec: id, textDictionary });
+            assert.deepStrictEqual(decoded, bytes, `input ${i} with ${codec}`);
+        });
+    });
+});
@@ -8,7 +8,15 @@ class HMQCDecoder {
         this.core = new HMQCCore();
         this.compressor = new HMQCCompressor();
         this.ecc = new HMQCECC();
+        this.formatEcc = new HMQCECC(this.core.formatParityLength);
+        this.fountain = new HMQCFountain();
+        this.animationReader = new HMQCAnimation();
         this.isProcessing = false;
+        this.scannedFiles = [];
+        this.partSets = new Map(); // payload ID → parts received so far
+        this.fountainSets = new Map(); // payload ID → fountain decoder state
+        this.timingStep = 8; // modules between timing line samples
+        this.timingHalfWidth = 4; // timing modules either side of a sample
         
         console.log('Initializing HMQC Decoder...');
         
@@ -73,39 +81,121 @@ class HMQCDecoder {
             });
         }
 
+        this.initDictionaryControls();
+
         console.log('Decoder event listeners attached successfully!');
     }
 
+    /**
+     * Shared dictionary controls: build from samples, load/export JSON
+     */
+    initDictionaryControls() {
+        const select = document.getElementById('sharedDictionary');
+        if (!select) return;
+        
+        this.compressor.loadStoredDictionaries();
+        this.refreshDictionaryList();
+        
+        document.getElementById('dictionarySamples').addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files);
+            if (files.length === 0) return;
+            
+            try {
+                const name = document.getElementById('dictionaryName').value.trim() || files[0].name;
+                const samples = await Promise.all(files.map(async file => new Uint8Array(await file.arrayBuffer())));
+                const dictionary = this.compressor.buildDictionary(name, samples);
+                this.addDictionary(dictionary);
+            } catch (error) {
+                this.showStatus(`Dictionary error: ${error.message}`, 'error');
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('dictionaryJson').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                this.addDictionary(this.compressor.dictionaryFromJSON(await file.text()));
+            } catch (error) {
+                this.showStatus(`Dictionary error: ${error.message}`, 'error');
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('exportDictionaryBtn').addEventListener('click', () => {
+            const dictionary = this.compressor.sharedDictionaries.get(Number(select.value));
+            if (!dictionary) {
+                this.showStatus('Select a dictionary to export first.', 'warning');
+                return;
+            }
+            const blob = new Blob([this.compressor.dictionaryToJSON(dictionary)], { type: 'application/json' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = `${dictionary.name}.hmqc-dict.json`;
+            a.click();
+        });
+    }
+
+    addDictionary(dictionary) {
+        this.compressor.storeDictionaries();
+        this.refreshDictionaryList(dictionary.id);
+        this.showStatus(`✓ Dictionary "${dictionary.name}" ready (#${dictionary.id}, ${this.formatBytes(dictionary.bytes.length)})`, 'success');
+    }
+
+    refreshDictionaryList(selectedId = null) {
+        const select = document.getElementById('sharedDictionary');
+        const current = selectedId !== null ? String(selectedId) : select.value;
+        
+        select.innerHTML = '<option value="">None</option>';
+        this.compressor.sharedDictionaries.forEach(dictionary => {
+            const option = document.createElement('option');
+            option.value = dictionary.id;
+            option.textContent = `${dictionary.name} (#${dictionary.id}, ${this.formatBytes(dictionary.bytes.length)})`;
+            select.appendChild(option);
+        });
+        select.value = this.compressor.sharedDictionaries.has(Number(current)) ? current : '';
+    }
+
     handleScanFiles(files) {
         if (!files || files.length === 0) {
             console.warn('No files provided to handleScanFiles');
             return;
         }
         
-        this.scannedFile = files[0];
         const dropZone = document.getElementById('dropScanZone');
         const fileInfo = document.getElementById('scanFileInfo');
         
         // Validate file type
-        if (!this.scannedFile.type.startsWith('image/')) {
-            console.error('Invalid file type:', this.scannedFile.type);
+        const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+        if (images.length === 0) {
+            console.error('Invalid file types:', Array.from(files).map(file => file.type));
             this.showStatus('Please drop an image file!', 'error');
             return;
         }
         
+        // Parts of a split file can be dropped together, in any order
+        this.scannedFiles = images;
+        this.scannedFile = images[0];
+        const totalSize = images.reduce((sum, file) => sum + file.size, 0);
+        
         // Update UI
         dropZone.querySelector('.drop-icon').textContent = '📸';
-        dropZone.querySelector('.drop-text').textContent = this.scannedFile.name;
+        dropZone.querySelector('.drop-text').textContent = images.length === 1
+            ? this.scannedFile.name
+            : `${images.length} images`;
         dropZone.querySelector('.drop-hint').textContent = 
-            `Size: ${this.formatBytes(this.scannedFile.size)} | Ready to scan`;
+            `Size: ${this.formatBytes(totalSize)} | Ready to scan`;
         
         if (fileInfo) {
             fileInfo.style.display = 'block';
             fileInfo.className = 'status success';
-            fileInfo.textContent = `✓ HMQC image loaded: ${this.scannedFile.name}`;
+            fileInfo.textContent = images.length === 1
+                ? `✓ HMQC image loaded: ${this.scannedFile.name}`
+                : `✓ ${images.length} HMQC images loaded: ${images.map(file => file.name).join(', ')}`;
         }
         
-        console.log('Image file processed:', this.scannedFile);
+        console.log('Image files processed:', images);
         this.showScanPreview();
     }
 
@@ -144,7 +234,7 @@ class HMQCDecoder {
     }
 
     async startDecoding() {
-        if (!this.scannedFile) {
+        if (this.scannedFiles.length === 0) {
             this.showStatus('Please drop an HMQC code image first!', 'warning');
             return;
         }
@@ -164,7 +254,9 @@ class HMQCDecoder {
             await this.decodeFile();
         } catch (error) {
             console.error('Decoding error:', error);
-            this.showStatus(`Decoding failed: ${error.message}`, 'error');
+            this.showStatus(error instanceof HMQCFormatError
+                ? `Not a valid HMQC code: ${error.message}`
+                : `Decoding failed: ${error.message}`, 'error');
         } finally {
             this.isProcessing = false;
             decodeBtn.disabled = false;
@@ -172,11 +264,78 @@ class HMQCDecoder {
         }
     }
 
+    /**
+     * Decode every dropped image (and every frame of a dropped APNG).
+     * Parts of a split file and fountain frames are collected, also
+     * across several drops, until the file can be rebuilt.
+     */
     async decodeFile() {
+        const images = await this.expandAnimations(this.scannedFiles);
+        const failures = [];
+        let result = null;
+        
+        for (const [n, image] of images.entries()) {
+            console.log(`Decoding ${image.name} (${n + 1}/${images.length})...`);
+            try {
+                const symbol = await this.decodeSymbol(image.blob);
+                if (symbol.metadata.part) {
+                    result = this.addPart(symbol) || result;
+                } else if (symbol.metadata.fountain) {
+                    const rebuilt = this.addFountainFrame(symbol);
+                    if (rebuilt) {
+                        result = rebuilt;
+                        break; // Remaining frames are not needed
+                    }
+                } else {
+                    result = symbol;
+                }
+            } catch (error) {
+                if (images.length === 1) throw error;
+                console.error(`${image.name}:`, error);
+                failures.push(`${image.name}: ${error.message}`);
+            }
+        }
+        
+        // A dropped frame or two is expected with fountain frames
+        const failureNote = failures.length > 0 ? ` Could not read ${failures.join('; ')}` : '';
+        if (result) {
+            await this.finishDecoding(result, failureNote);
+        } else if (this.partSets.size > 0 || this.fountainSets.size > 0) {
+            this.showStatus(`${this.describeMissingParts()} Drop the remaining parts or frames to rebuild the file.${failureNote}`, 'warning');
+        } else {
+            throw new Error(`No image could be decoded.${failureNote}`);
+        }
+    }
+
+    /**
+     * One entry per image to decode; APNG files are split into frames
+     */
+    async expandAnimations(files) {
+        const images = [];
+        for (const file of files) {
+            const frames = file.type === 'image/png' || file.type === 'image/apng'
+                ? this.animationReader.extractFrames(new Uint8Array(await file.arrayBuffer()))
+                : null;
+            if (!frames) {
+                images.push({ name: file.name, blob: file });
+                continue;
+            }
+            console.log(`${file.name}: animation with ${frames.length} frames`);
+            frames.forEach((frame, index) => {
+                images.push({ name: `${file.name} frame ${index + 1}`, blob: new Blob([frame], { type: 'image/png' }) });
+            });
+        }
+        return images;
+    }
+
+    /**
+     * Steps 1-7 for one image: locate, sample, ECC-decode and parse the header
+     */
+    async decodeSymbol(file) {
         this.showProgress(0);
         
         console.log('Step 1: Loading image data...');
-        const imageData = await this.loadImageData(this.scannedFile);
+        const imageData = await this.loadImageData(file);
         this.showProgress(30);
         
         console.log('Step 2: Detecting markers...');
@@ -188,38 +347,323 @@ class HMQCDecoder {
         }
         
         console.log('Step 3: Extracting modules...');
-        const modules = this.extractModules(imageData, markers);
+        const samples = this.extractModules(imageData, markers);
         this.showProgress(60);
         
-        console.log('Step 4: Converting to bytes...');
-        const byteData = this.core.colorModulesToBytes(modules);
+        console.log('Step 4: Reading format field...');
+        const matrixSize = samples.size;
+        const format = this.readFormat(samples, matrixSize);
+        this.ecc.setLevel(this.resolveEccLevel(format));
+        const colours = this.resolveModulation(format);
+        console.log(`ECC level: ${this.ecc.level}, palette: ${colours} colours`);
+        
+        console.log('Step 5: Classifying colours...');
+        const layout = this.core.getLayout(matrixSize);
         
-        console.log('Step 5: ECC decoding...');
-        const decoded = this.ecc.decode(byteData);
+        console.log('Step 6: ECC decoding...');
+        let decoded = null;
+        for (const mask of this.resolveMasks(format)) {
+            decoded = this.decodeWithMask(samples, layout, colours, mask, format);
+            if (!decoded.uncorrectable) {
+                console.log(`Data mask: ${mask}`);
+                break;
+            }
+        }
         
         if (decoded.uncorrectable) {
-            throw new Error(`Too many errors (${decoded.errors}) in the code. Try a better quality scan or use the original digital file.`);
+            throw new Error(`Too many errors (${decoded.failedBlocks} unrecoverable blocks) in the code. Try a better quality scan or use the original digital file.`);
         }
         
         this.showProgress(80);
         
-        console.log('Step 6: Parsing metadata...');
-        const metadata = this.core.parseMetadata(decoded.data.slice(0, 32));
-        const payload = decoded.data.slice(32);
+        console.log('Step 7: Parsing metadata...');
+        const payloadData = this.trimPayload(decoded.data, format);
+        const metadata = this.core.parseMetadata(payloadData);
+        if (!Object.values(this.compressor.codecs).includes(metadata.codec)) {
+            throw new HMQCFormatError(`Unknown compression codec ${metadata.codec}. Please update the decoder.`, 'unsupported-feature');
+        }
+        console.log(`Header format ${metadata.version}, ${metadata.dataType}, ${metadata.compressedSize} bytes`);
+        if (Number(metadata.version.split('.')[1]) > this.core.formatMinor) {
+            console.warn(`Header format ${metadata.version} is newer than ${this.core.formatMajor}.${this.core.formatMinor}; unknown records will be skipped`);
+        }
+        
+        const payloadLength = metadata.part ? metadata.part.length : metadata.compressedSize;
+        const payload = payloadData.slice(metadata.headerLength, metadata.headerLength + payloadLength);
+        return { metadata, payload, decoded, ecc: this.ecc.level };
+    }
+
+    /**
+     * Keep a part; once all parts of its file are in, return the file as
+     * one symbol (parts' ECC statistics summed), else null
+     */
+    addPart(symbol) {
+        const { id, part, compressedSize } = symbol.metadata;
+        let set = this.partSets.get(id);
+        if (!set) {
+            set = { total: part.total, compressedSize, parts: new Map() };
+            this.partSets.set(id, set);
+        }
+        if (set.total !== part.total || set.compressedSize !== compressedSize) {
+            throw new HMQCFormatError(`Part ${part.index + 1} does not match the other parts of payload ${id.toString(16)}.`, 'invalid-field');
+        }
+        
+        set.parts.set(part.index, symbol);
+        console.log(`Part ${part.index + 1}/${part.total} of payload ${id.toString(16)} received`);
+        this.showPartStatus(id);
+        
+        if (set.parts.size < set.total) return null;
+        
+        const payload = new Uint8Array(compressedSize);
+        const decoded = { correctedErrors: 0, correctedErasures: 0, capacity: 0 };
+        set.parts.forEach(({ metadata, payload: slice, decoded: partDecoded }) => {
+            payload.set(slice, metadata.part.offset);
+            decoded.correctedErrors += partDecoded.correctedErrors;
+            decoded.correctedErasures += partDecoded.correctedErasures;
+            decoded.capacity += partDecoded.capacity;
+        });
+        
+        this.partSets.delete(id);
+        return { ...symbol, payload, decoded, parts: set.total };
+    }
+
+    /**
+     * Feed one fountain frame to its payload's peeling decoder; returns
+     * the whole file once every block is recovered, else null
+     */
+    addFountainFrame(symbol) {
+        const { id, fountain, compressedSize } = symbol.metadata;
+        let set = this.fountainSets.get(id);
+        if (!set) {
+            const k = Math.max(1, Math.ceil(compressedSize / fountain.blockSize));
+            set = {
+                decoder: this.fountain.createDecoder(k, fountain.blockSize),
+                compressedSize,
+                name: symbol.metadata.filename || id.toString(16),
+                frames: 0,
+                decoded: { correctedErrors: 0, correctedErasures: 0, capacity: 0 }
+            };
+            this.fountainSets.set(id, set);
+        }
+        if (set.decoder.blockSize !== fountain.blockSize || set.compressedSize !== compressedSize) {
+            throw new HMQCFormatError(`Frame ${fountain.seed} does not match the other frames of payload ${id.toString(16)}.`, 'invalid-field');
+        }
+        
+        set.frames++;
+        set.decoded.correctedErrors += symbol.decoded.correctedErrors;
+        set.decoded.correctedErasures += symbol.decoded.correctedErasures;
+        set.decoded.capacity += symbol.decoded.capacity;
         
-        console.log('Step 7: Decompressing...');
-        const decompressed = this.compressor.decompress(payload, metadata.dataType);
+        const complete = this.fountain.addSymbol(set.decoder, fountain.seed, symbol.payload);
+        console.log(`Fountain frame ${fountain.seed}: ${set.decoder.recovered}/${set.decoder.k} blocks from ${set.frames} frames`);
+        if (!complete) return null;
+        
+        this.fountainSets.delete(id);
+        return {
+            ...symbol,
+            payload: this.fountain.assemble(set.decoder, compressedSize),
+            decoded: set.decoded,
+            frames: set.frames
+        };
+    }
+
+    /**
+     * Received/missing badges for one payload's parts
+     */
+    showPartStatus(id) {
+        const container = document.getElementById('partStatus');
+        if (!container) return;
+        
+        const set = this.partSets.get(id);
+        const name = set.parts.values().next().value.metadata.filename || id.toString(16);
+        container.innerHTML = '';
+        
+        const title = document.createElement('span');
+        title.textContent = `${name}:`;
+        container.appendChild(title);
+        
+        for (let index = 0; index < set.total; index++) {
+            const badge = document.createElement('span');
+            const received = set.parts.has(index);
+            badge.className = `part-link ${received ? 'received' : 'missing'}`;
+            badge.textContent = `${received ? '✓' : '…'} ${index + 1}`;
+            container.appendChild(badge);
+        }
+        container.style.display = 'flex';
+    }
+
+    describeMissingParts() {
+        const parts = Array.from(this.partSets.values()).map(set => {
+            const missing = [];
+            for (let index = 0; index < set.total; index++) {
+                if (!set.parts.has(index)) missing.push(index + 1);
+            }
+            const name = set.parts.values().next().value.metadata.filename || 'file';
+            return `${name}: ${set.parts.size} of ${set.total} parts received, missing ${missing.join(', ')}.`;
+        });
+        const fountains = Array.from(this.fountainSets.values()).map(set =>
+            `${set.name}: ${set.decoder.recovered} of ${set.decoder.k} blocks recovered from ${set.frames} frames.`);
+        return [...parts, ...fountains].join(' ');
+    }
+
+    /**
+     * Steps 8-10: decompress, verify and show a whole file
+     */
+    async finishDecoding({ metadata, payload, decoded, ecc, parts = 1, frames = 0 }, failureNote = '') {
+        console.log('Step 8: Decompressing...');
+        const decompressed = this.compressor.decompress(payload, metadata.dataType, {
+            codec: metadata.codec,
+            textDictionary: metadata.textDictionary,
+            sharedDictionary: metadata.sharedDictionary
+        });
+        
+        console.log('Step 9: Verifying integrity...');
+        await this.verifyIntegrity(decompressed, metadata);
         
         this.showProgress(100);
         
-        console.log('Step 8: Displaying results...');
+        console.log('Step 10: Displaying results...');
         this.showDecodedContent(decompressed, metadata);
-        this.showDecodingStats(metadata, decoded, byteData.length);
+        this.showDecodingStats(metadata, decoded, decoded.capacity);
         
-        this.showStatus(`✓ Decoding successful! Recovered ${decoded.correctedErrors} errors.`, 'success');
+        let partNote = parts > 1 ? ` Rebuilt from ${parts} codes.` : '';
+        if (frames > 0) partNote = ` Rebuilt from ${frames} animation frames.`;
+        this.showStatus(`✓ Decoding successful! Corrected ${decoded.correctedErrors} errors and ${decoded.correctedErasures} erasures (ECC level ${ecc}).${partNote}${failureNote}`, 'success');
         console.log('Decoding completed successfully!');
     }
 
+    /**
+     * Decode the first readable format field copy
+     */
+    readFormat(samples, matrixSize) {
+        const copies = this.core.readFormatField(samples, matrixSize);
+        
+        for (const copy of copies) {
+            const result = this.formatEcc.rsDecodeBlock(copy);
+            if (!result.uncorrectable) {
+                return this.core.unpackFormatInfo(result.data);
+            }
+        }
+        
+        console.warn('Format field unreadable in both copies');
+        return null;
+    }
+
+    /**
+     * ECC level from the format field, unless forced in the scan options
+     */
+    resolveEccLevel(format) {
+        const forced = document.getElementById('errorCorrection').value;
+        if (forced !== 'auto') return forced;
+        
+        if (!format) {
+            throw new Error('Could not read the format field. Select the ECC level manually under "Force ECC Level".');
+        }
+        if (format.formatVersion > this.core.formatVersion) {
+            throw new Error(`Unsupported format version ${format.formatVersion}. Please update the decoder.`);
+        }
+        if (format.formatVersion < 2) {
+            throw new Error('This code stores raw RGBA modules (format version 1), which this decoder no longer reads.');
+        }
+        
+        const level = this.ecc.levelFromId(format.eccLevel);
+        if (!level) {
+            throw new Error(`Unknown ECC level id ${format.eccLevel} in format field.`);
+        }
+        return level;
+    }
+
+    /**
+     * Palette size from the format field, unless forced in the scan options
+     * (resolveEccLevel has already checked the format version)
+     */
+    resolveModulation(format) {
+        const forced = document.getElementById('forceModulation').value;
+        if (forced !== 'auto') return parseInt(forced);
+        
+        if (!format) {
+            throw new Error('Could not read the format field. Select the colour palette manually under "Force Colour Palette".');
+        }
+        
+        const colours = this.core.modulationFromId(format.modulation);
+        if (!colours) {
+            throw new Error(`Unknown colour palette id ${format.modulation} in format field.`);
+        }
+        return colours;
+    }
+
+    /**
+     * Data mask from the format field; without it every mask is tried and
+     * the first one that passes ECC wins
+     */
+    resolveMasks(format) {
+        if (!format) {
+            return Array.from({ length: this.core.maskCount }, (_, mask) => mask);
+        }
+        if (format.mask >= this.core.maskCount) {
+            throw new Error(`Unknown data mask ${format.mask} in format field.`);
+        }
+        return [format.mask];
+    }
+
+    /**
+     * Unmask, gather and RS-decode the data area
+     */
+    decodeWithMask(samples, layout, colours, mask, format) {
+        const { bytes: byteData, confidence } = this.core.samplesToBytes(samples, layout, colours, mask);
+        const blockCount = this.resolveBlockCount(format, byteData.length);
+        const streamLength = blockCount * this.ecc.codewordLength;
+        const stream = this.core.gatherBytes(byteData, streamLength);
+        const streamConfidence = this.core.gatherBytes(confidence, streamLength);
+        const decoded = this.ecc.decode(
+            this.ecc.deinterleave(stream, blockCount),
+            this.ecc.deinterleave(streamConfidence, blockCount)
+        );
+        return { ...decoded, capacity: byteData.length };
+    }
+
+    /**
+     * Interleaving depth comes from the format field; without it, assume
+     * the whole data area holds codewords
+     */
+    resolveBlockCount(format, capacity) {
+        const maxBlocks = Math.floor(capacity / this.ecc.codewordLength);
+        if (format && format.blockCount > 0 && format.blockCount <= maxBlocks) {
+            return format.blockCount;
+        }
+        return maxBlocks;
+    }
+
+    /**
+     * Drop RS block padding using the exact length from the format field
+     */
+    trimPayload(data, format) {
+        if (!format || format.payloadLength === 0) {
+            console.warn('Payload length unknown, RS padding is kept');
+            return data;
+        }
+        if (format.payloadLength > data.length) {
+            throw new Error(`Format field claims ${format.payloadLength} bytes but only ${data.length} were decoded.`);
+        }
+        return data.slice(0, format.payloadLength);
+    }
+
+    /**
+     * Compare the recovered file against the digest stored by the encoder
+     */
+    async verifyIntegrity(data, metadata) {
+        if (metadata.integrity === 'none') {
+            console.warn('No integrity digest in this code, skipping verification');
+            return;
+        }
+        
+        const valid = await this.ecc.verifyDigest(data, metadata.integrity, metadata.digest);
+        
+        if (!valid) {
+            throw new Error(`Data corrupted: ${metadata.integrity.toUpperCase()} checksum mismatch after decompression. The recovered file does not match the original.`);
+        }
+        console.log(`${metadata.integrity.toUpperCase()} checksum verified`);
+    }
+
     async loadImageData(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -245,39 +689,564 @@ class HMQCDecoder {
         });
     }
 
+    /**
+     * Sample every module centre through the fitted grid: a homography from
+     * the four finders, refined by the alignment patterns found, so codes
+     * photographed at an angle sample as if seen head-on.
+     */
     extractModules(imageData, markers) {
-        const { width, height, data } = imageData;
-        const modules = [];
-        
-        // Calculate module size from markers
-        const expectedMarkerSize = 20 * this.core.moduleSize;
-        const actualMarkerSize = Math.abs(markers[1].x - markers[0].x);
-        const scale = actualMarkerSize / expectedMarkerSize;
-        const modulePx = Math.max(1, this.core.moduleSize * scale);
-        
-        // Extract grid
-        const gridSize = Math.floor(Math.min(width, height) / modulePx);
-        console.log(`Extracting ${gridSize}x${gridSize} modules`);
-        
-        for (let y = 0; y < gridSize; y++) {
-            for (let x = 0; x < gridSize; x++) {
-                const px = Math.floor(x * modulePx);
-                const py = Math.floor(y * modulePx);
-                const idx = (py * width + px) * 4;
+        const matrixSize = this.estimateMatrixSize(imageData, markers);
+        const layout = this.core.getLayout(matrixSize);
+        const grid = this.fitAlignmentGrid(imageData, layout, this.orientMarkers(imageData, layout, markers));
+        const rgb = new Uint8Array(matrixSize * matrixSize * 3);
+        const confidence = new Uint8Array(matrixSize * matrixSize);
+        console.log(`Extracting ${matrixSize}x${matrixSize} modules (${grid.found}/${layout.alignments.length} alignment patterns, ${grid.timingFound} timing samples found)`);
+        
+        for (let y = 0; y < matrixSize; y++) {
+            for (let x = 0; x < matrixSize; x++) {
+                const point = this.gridToImage(grid, x + 0.5, y + 0.5);
+                const module = this.sampleModule(imageData, point.x, point.y, this.localModulePx(grid, x + 0.5, y + 0.5));
+                if (!module) continue; // Outside the image: black, zero confidence
+                
+                const index = y * matrixSize + x;
+                rgb.set([module.r, module.g, module.b], index * 3);
+                confidence[index] = Math.round(module.confidence * 255);
+            }
+        }
+        
+        console.log(`Extracted ${confidence.length} modules`);
+        return { size: matrixSize, rgb, confidence };
+    }
+
+    /**
+     * Matrix size from the finder spacing: centres are (size - 7) modules
+     * apart. Both edges from the top-left finder are measured in their own
+     * finders' module size, which evens out perspective. Encoder sizes are
+     * multiples of 64.
+     */
+    estimateMatrixSize(imageData, markers) {
+        const finder = this.core.createMarkerPattern().length;
+        const moduleSize = marker => marker.moduleSize || this.core.moduleSize;
+        const [tl, tr, bl] = markers;
+        const spans = [tr, bl].map(other =>
+            Math.hypot(other.x - tl.x, other.y - tl.y) / ((moduleSize(tl) + moduleSize(other)) / 2));
+        const estimate = (spans[0] + spans[1]) / 2 + finder;
+        
+        return Math.min(this.core.maxSize, Math.max(this.core.minSize, Math.round(estimate / this.core.sizeStep) * this.core.sizeStep));
+    }
+
+    /**
+     * Finders in symbol order (top-left, top-right, bottom-left,
+     * bottom-right) for a code that may be rotated or mirrored.
+     * The detected finders are in image order; each of the eight ways to
+     * lay the symbol's corners onto them is tried, and the one that puts
+     * the orientation mark where the layout has it wins.
+     */
+    orientMarkers(imageData, layout, markers) {
+        const size = layout.size;
+        const centre = this.core.createMarkerPattern().length / 2;
+        const pattern = this.core.createOrientationPattern();
+        const origin = this.core.orientationMark;
+        // Both rings run clockwise: TL, TR, BR, BL
+        const corners = [[centre, centre], [size - centre, centre], [size - centre, size - centre], [centre, size - centre]]
+            .map(([x, y]) => ({ x, y }));
+        const ring = [markers[0], markers[1], markers[3], markers[2]];
+        let best = null;
+        
+        [1, -1].forEach(direction => {
+            for (let rotation = 0; rotation < 4; rotation++) {
+                const placed = corners.map((_, i) => ring[(rotation + direction * i + 4) % 4]);
+                const homography = this.computeHomography(corners, placed);
+                if (!homography) continue;
                 
-                if (idx < data.length - 3) {
-                    modules.push({
-                        r: data[idx],
-                        g: data[idx + 1],
-                        b: data[idx + 2],
-                        a: data[idx + 3]
-                    });
+                let light = 0;
+                let dark = 0;
+                pattern.forEach((row, dy) => row.forEach((value, dx) => {
+                    const point = this.applyHomography(homography, origin.x + dx + 0.5, origin.y + dy + 0.5);
+                    const luma = this.sampleLuma(imageData, point.x, point.y);
+                    if (value) light += luma; else dark += luma;
+                }));
+                // 9 light centre vs 16 dark ring modules
+                const contrast = light / 9 - dark / 16;
+                if (!best || contrast > best.contrast) {
+                    best = { contrast, rotation, mirrored: direction < 0, markers: [placed[0], placed[1], placed[3], placed[2]] };
                 }
             }
+        });
+        
+        if (!best || best.contrast <= 64) {
+            console.warn('Orientation mark not found, assuming the code is upright');
+            return markers;
         }
+        console.log(`Orientation: ${best.rotation * 90}° turn${best.mirrored ? ', mirrored' : ''}`);
+        return best.markers;
+    }
+
+    /**
+     * Module → image mapping for a photographed code
+     * A homography from the four finder centres predicts every alignment
+     * pattern (plus the drift already measured at its neighbours); the
+     * patterns found refine it by least squares, and what is left over at
+     * each grid point (lens bulge, paper curl) is kept as an offset.
+     */
+    fitAlignmentGrid(imageData, layout, markers) {
+        const size = layout.size;
+        const axis = layout.alignmentAxis;
+        const n = axis.length;
+        const centre = this.core.createMarkerPattern().length / 2;
         
-        console.log(`Extracted ${modules.length} modules`);
-        return modules;
+        // Finder centres sit on the first and last grid lines
+        const finderPoints = [[centre, centre], [size - centre, centre], [centre, size - centre], [size - centre, size - centre]]
+            .map(([x, y]) => ({ x, y }));
+        let homography = this.computeHomography(finderPoints, markers);
+        if (!homography) {
+            throw new Error('The four finder patterns do not form a usable quadrilateral. Please retake the photo.');
+        }
+        
+        const present = new Set(layout.alignments.map(a => a.row * n + a.col));
+        const points = new Array(n * n);
+        const measured = { from: finderPoints.slice(), to: markers.slice(0, 4) };
+        let found = 0;
+        
+        const corners = new Map([[0, markers[0]], [n - 1, markers[1]], [(n - 1) * n, markers[2]], [n * n - 1, markers[3]]]);
+        
+        for (let row = 0; row < n; row++) {
+            for (let col = 0; col < n; col++) {
+                const corner = corners.get(row * n + col);
+                if (corner) {
+                    points[row * n + col] = { x: corner.x, y: corner.y };
+                    continue;
+                }
+                
+                const u = axis[col] + 0.5;
+                const v = axis[row] + 0.5;
+                const predicted = this.applyHomography(homography, u, v);
+                
+                // Carry drift from the left / upper neighbour
+                const neighbours = [];
+                if (col > 0) neighbours.push([row, col - 1]);
+                if (row > 0) neighbours.push([row - 1, col]);
+                let dx = 0;
+                let dy = 0;
+                neighbours.forEach(([r, c]) => {
+                    const base = this.applyHomography(homography, axis[c] + 0.5, axis[r] + 0.5);
+                    dx += (points[r * n + c].x - base.x) / neighbours.length;
+                    dy += (points[r * n + c].y - base.y) / neighbours.length;
+                });
+                const guess = { x: predicted.x + dx, y: predicted.y + dy };
+                
+                if (present.has(row * n + col)) {
+                    const match = this.findAlignmentPattern(imageData, guess, this.moduleBasis(homography, u, v));
+                    if (match) {
+                        found++;
+                        measured.from.push({ x: u, y: v });
+                        measured.to.push(match);
+                    }
+                    points[row * n + col] = match || guess;
+                } else {
+                    points[row * n + col] = guess;
+                }
+            }
+        }
+        
+        if (found > 0) {
+            homography = this.computeHomography(measured.from, measured.to) || homography;
+        }
+        let grid = this.createGrid(layout, points, homography);
+        
+        // Timing lines: dense samples along the four edges join the fit, and
+        // what is left over at them bends the grid near the edge, where the
+        // alignment patterns are 48 modules apart
+        const timing = this.findTimingPoints(imageData, layout, grid);
+        if (timing.length > 0) {
+            timing.forEach(point => {
+                measured.from.push({ x: point.u, y: point.v });
+                measured.to.push(point);
+            });
+            grid = this.createGrid(layout, points, this.computeHomography(measured.from, measured.to) || homography);
+            grid.timing = this.createTimingProfiles(layout, grid, timing);
+        }
+        
+        return { ...grid, found, timingFound: timing.length };
+    }
+
+    /**
+     * Homography plus what it does not explain at each grid point
+     */
+    createGrid(layout, points, homography) {
+        const size = layout.size;
+        const axis = layout.alignmentAxis;
+        const n = axis.length;
+        
+        const offsets = points.map((point, index) => {
+            const base = this.applyHomography(homography, axis[index % n] + 0.5, axis[Math.floor(index / n)] + 0.5);
+            return { x: point.x - base.x, y: point.y - base.y };
+        });
+        
+        // Grid cell for each module row/column
+        const cellOf = new Int32Array(size);
+        for (let m = 0, cell = 0; m < size; m++) {
+            while (cell < n - 2 && m + 0.5 > axis[cell + 1] + 0.5) cell++;
+            cellOf[m] = cell;
+        }
+        
+        return { axis, homography, offsets, cellOf, timing: [] };
+    }
+
+    /**
+     * The four timing lines (rows then columns), as the fixed module
+     * coordinate and the first and last alternating module along them
+     */
+    getTimingLines(size) {
+        const line = this.core.createMarkerPattern().length - 1;
+        const first = line + 2;
+        const last = size - line - 3;
+        return [
+            { horizontal: true, fixed: line, first, last },
+            { horizontal: true, fixed: size - 1 - line, first, last },
+            { horizontal: false, fixed: line, first, last },
+            { horizontal: false, fixed: size - 1 - line, first, last }
+        ];
+    }
+
+    /**
+     * Image positions of timing line modules every timingStep modules,
+     * as { line, index, u, v, x, y }, searched around the current grid
+     */
+    findTimingPoints(imageData, layout, grid) {
+        const points = [];
+        
+        this.getTimingLines(layout.size).forEach((line, lineIndex) => {
+            for (let i = line.first + this.timingHalfWidth; i <= line.last - this.timingHalfWidth; i += this.timingStep) {
+                const u = (line.horizontal ? i : line.fixed) + 0.5;
+                const v = (line.horizontal ? line.fixed : i) + 0.5;
+                const basis = this.moduleBasis(grid.homography, u, v);
+                const match = this.findTimingRun(imageData, this.gridToImage(grid, u, v),
+                    line.horizontal ? basis.u : basis.v, line.horizontal ? basis.v : basis.u, i);
+                if (match) points.push({ line: lineIndex, index: i, u, v, ...match });
+            }
+        });
+        
+        return points;
+    }
+
+    /**
+     * Best match of the light/dark run of timing modules index ± half width
+     * near guess. The search along the line stays under one module, so it
+     * cannot slip by a whole period; across it, the neighbouring rows are
+     * data and score near zero.
+     */
+    findTimingRun(imageData, guess, along, across, index) {
+        const half = this.timingHalfWidth;
+        const modulePx = Math.hypot(along.x, along.y);
+        const step = Math.max(0.5 / modulePx, 0.25); // in modules
+        const at = (da, dc) => ({
+            x: guess.x + da * along.x + dc * across.x,
+            y: guess.y + da * along.y + dc * across.y
+        });
+        const lightCount = Array.from({ length: 2 * half + 1 }, (_, k) => (index - half + k + 1) % 2).reduce((sum, bit) => sum + bit, 0);
+        const darkCount = 2 * half + 1 - lightCount;
+        const scores = [];
+        
+        for (let oc = -1.5; oc <= 1.5; oc += step) {
+            for (let oa = -0.75; oa <= 0.75; oa += step) {
+                let light = 0;
+                let dark = 0;
+                for (let k = -half; k <= half; k++) {
+                    const point = at(oa + k, oc);
+                    const luma = this.sampleLuma(imageData, point.x, point.y);
+                    if ((index + k + 1) % 2) light += luma; else dark += luma;
+                }
+                scores.push({ ...at(oa, oc), contrast: light / lightCount - dark / darkCount });
+            }
+        }
+        
+        const best = Math.max(...scores.map(score => score.contrast));
+        if (best <= 64) return null;
+        
+        const plateau = scores.filter(score => score.contrast >= best * 0.9);
+        return {
+            x: plateau.reduce((sum, score) => sum + score.x, 0) / plateau.length,
+            y: plateau.reduce((sum, score) => sum + score.y, 0) / plateau.length
+        };
+    }
+
+    /**
+     * Per timing line: the measured minus the grid position at each sample
+     * (missing samples borrow from their neighbours), fading out over one
+     * alignment spacing away from the line
+     */
+    createTimingProfiles(layout, grid, points) {
+        const axis = layout.alignmentAxis;
+        const reach = axis.length > 1 ? axis[1] - axis[0] : layout.size;
+        
+        return this.getTimingLines(layout.size).map((line, lineIndex) => {
+            const first = line.first + this.timingHalfWidth;
+            const count = Math.floor((line.last - this.timingHalfWidth - first) / this.timingStep) + 1;
+            const dx = new Float32Array(count).fill(NaN);
+            const dy = new Float32Array(count).fill(NaN);
+            
+            points.filter(point => point.line === lineIndex).forEach(point => {
+                const k = (point.index - first) / this.timingStep;
+                const base = this.gridToImage(grid, point.u, point.v);
+                dx[k] = point.x - base.x;
+                dy[k] = point.y - base.y;
+            });
+            
+            const known = Array.from(dx.keys()).filter(k => !Number.isNaN(dx[k]));
+            if (known.length === 0) return null;
+            for (let k = 0; k < count; k++) {
+                if (!Number.isNaN(dx[k])) continue;
+                const next = known.find(j => j > k);
+                const previous = known.filter(j => j < k).pop();
+                const a = previous === undefined ? next : previous;
+                const b = next === undefined ? previous : next;
+                const f = a === b ? 0 : (k - a) / (b - a);
+                dx[k] = dx[a] + f * (dx[b] - dx[a]);
+                dy[k] = dy[a] + f * (dy[b] - dy[a]);
+            }
+            
+            return { horizontal: line.horizontal, fixed: line.fixed + 0.5, first: first + 0.5, step: this.timingStep, reach, dx, dy };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Smaller side of a module at (u, v): under perspective the far edge
+     * of the code has much smaller modules than the average
+     */
+    localModulePx(grid, u, v) {
+        const basis = this.moduleBasis(grid.homography, u, v);
+        return Math.min(Math.hypot(basis.u.x, basis.u.y), Math.hypot(basis.v.x, basis.v.y));
+    }
+
+    /**
+     * Image step for one module along u and along v at (u, v)
+     */
+    moduleBasis(homography, u, v) {
+        const origin = this.applyHomography(homography, u, v);
+        const right = this.applyHomography(homography, u + 1, v);
+        const down = this.applyHomography(homography, u, v + 1);
+        return {
+            u: { x: right.x - origin.x, y: right.y - origin.y },
+            v: { x: down.x - origin.x, y: down.y - origin.y }
+        };
+    }
+
+    /**
+     * Best match of the 5×5 alignment pattern within ±2 modules of guess,
+     * sampled along the local module axes, or null when nothing there has
+     * enough contrast
+     */
+    findAlignmentPattern(imageData, guess, basis) {
+        const pattern = this.core.createAlignmentPattern();
+        const modulePx = Math.hypot(basis.u.x, basis.u.y);
+        const step = Math.max(0.5 / modulePx, 0.25); // in modules
+        const at = (du, dv) => ({
+            x: guess.x + du * basis.u.x + dv * basis.v.x,
+            y: guess.y + du * basis.u.y + dv * basis.v.y
+        });
+        const scores = [];
+        
+        for (let ov = -2; ov <= 2; ov += step) {
+            for (let ou = -2; ou <= 2; ou += step) {
+                let light = 0;
+                let dark = 0;
+                for (let my = 0; my < 5; my++) {
+                    for (let mx = 0; mx < 5; mx++) {
+                        const point = at(ou + mx - 2, ov + my - 2);
+                        const luma = this.sampleLuma(imageData, point.x, point.y);
+                        if (pattern[my][mx]) light += luma; else dark += luma;
+                    }
+                }
+                // 16 light ring + 1 centre vs 8 dark modules
+                scores.push({ ...at(ou, ov), contrast: light / 17 - dark / 8 });
+            }
+        }
+        
+        // Offsets within a module all score alike: take the plateau's centre
+        const best = Math.max(...scores.map(score => score.contrast));
+        if (best <= 64) return null;
+        
+        const plateau = scores.filter(score => score.contrast >= best * 0.9);
+        return {
+            x: plateau.reduce((sum, score) => sum + score.x, 0) / plateau.length,
+            y: plateau.reduce((sum, score) => sum + score.y, 0) / plateau.length
+        };
+    }
+
+    /**
+     * Least-squares homography taking points `from` to points `to` (four or
+     * more pairs). Both sets are normalised first (Hartley) so module and
+     * pixel coordinates in the thousands stay well conditioned.
+     * Returns a row-major 3×3 matrix, or null for degenerate points.
+     */
+    computeHomography(from, to) {
+        const normalise = points => {
+            const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+            const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+            const spread = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+            const scale = spread > 0 ? Math.SQRT2 / spread : 1;
+            return { cx, cy, scale, points: points.map(p => ({ x: (p.x - cx) * scale, y: (p.y - cy) * scale })) };
+        };
+        const a = normalise(from);
+        const b = normalise(to);
+        
+        // Normal equations for h (h33 = 1): two rows per point pair
+        const ata = Array.from({ length: 8 }, () => new Array(8).fill(0));
+        const atb = new Array(8).fill(0);
+        a.points.forEach((p, i) => {
+            const q = b.points[i];
+            [
+                [[p.x, p.y, 1, 0, 0, 0, -p.x * q.x, -p.y * q.x], q.x],
+                [[0, 0, 0, p.x, p.y, 1, -p.x * q.y, -p.y * q.y], q.y]
+            ].forEach(([row, rhs]) => {
+                for (let r = 0; r < 8; r++) {
+                    atb[r] += row[r] * rhs;
+                    for (let c = 0; c < 8; c++) ata[r][c] += row[r] * row[c];
+                }
+            });
+        });
+        
+        const h = this.solveLinear(ata, atb);
+        if (!h) return null;
+        
+        // Undo the normalisation: H = inverse(Tb) · Hn · Ta
+        const normalised = [...h, 1];
+        const ta = [a.scale, 0, -a.scale * a.cx, 0, a.scale, -a.scale * a.cy, 0, 0, 1];
+        const tbInverse = [1 / b.scale, 0, b.cx, 0, 1 / b.scale, b.cy, 0, 0, 1];
+        return this.multiply3x3(tbInverse, this.multiply3x3(normalised, ta));
+    }
+
+    applyHomography(h, u, v) {
+        const w = h[6] * u + h[7] * v + h[8];
+        return {
+            x: (h[0] * u + h[1] * v + h[2]) / w,
+            y: (h[3] * u + h[4] * v + h[5]) / w
+        };
+    }
+
+    multiply3x3(a, b) {
+        const result = new Array(9).fill(0);
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                for (let k = 0; k < 3; k++) result[r * 3 + c] += a[r * 3 + k] * b[k * 3 + c];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Gaussian elimination with partial pivoting; null if singular
+     */
+    solveLinear(matrix, rhs) {
+        const n = rhs.length;
+        const m = matrix.map((row, i) => [...row, rhs[i]]);
+        
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+            }
+            if (Math.abs(m[pivot][col]) < 1e-12) return null;
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+            
+            for (let r = 0; r < n; r++) {
+                if (r === col) continue;
+                const factor = m[r][col] / m[col][col];
+                for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+            }
+        }
+        return m.map((row, i) => row[n] / row[i]);
+    }
+
+    sampleLuma(imageData, x, y) {
+        const px = Math.floor(x);
+        const py = Math.floor(y);
+        if (px < 0 || py < 0 || px >= imageData.width || py >= imageData.height) return 0;
+        const idx = (py * imageData.width + px) * 4;
+        return (imageData.data[idx] + imageData.data[idx + 1] + imageData.data[idx + 2]) / 3;
+    }
+
+    /**
+     * Module coordinates → image position: the homography plus the grid
+     * offsets, interpolated bilinearly inside the cell (and held at the
+     * edge values outside the outer grid lines), plus the timing line
+     * corrections near the edges
+     */
+    gridToImage(grid, u, v) {
+        const { axis, homography, offsets, cellOf } = grid;
+        const n = axis.length;
+        const col = cellOf[Math.max(0, Math.min(cellOf.length - 1, Math.floor(u)))];
+        const row = cellOf[Math.max(0, Math.min(cellOf.length - 1, Math.floor(v)))];
+        const s = Math.max(0, Math.min(1, (u - axis[col] - 0.5) / (axis[col + 1] - axis[col])));
+        const t = Math.max(0, Math.min(1, (v - axis[row] - 0.5) / (axis[row + 1] - axis[row])));
+        const o00 = offsets[row * n + col];
+        const o10 = offsets[row * n + col + 1];
+        const o01 = offsets[(row + 1) * n + col];
+        const o11 = offsets[(row + 1) * n + col + 1];
+        const base = this.applyHomography(homography, u, v);
+        const x = base.x + (1 - s) * (1 - t) * o00.x + s * (1 - t) * o10.x + (1 - s) * t * o01.x + s * t * o11.x;
+        const y = base.y + (1 - s) * (1 - t) * o00.y + s * (1 - t) * o10.y + (1 - s) * t * o01.y + s * t * o11.y;
+        
+        // Timing line corrections near the edges; near a corner two lines
+        // measured the same drift, so they are averaged rather than added
+        let weights = 0;
+        let cx = 0;
+        let cy = 0;
+        for (const profile of grid.timing) {
+            const distance = Math.abs((profile.horizontal ? v : u) - profile.fixed);
+            if (distance >= profile.reach) continue;
+            
+            const weight = 1 - distance / profile.reach;
+            const position = ((profile.horizontal ? u : v) - profile.first) / profile.step;
+            const k = Math.max(0, Math.min(profile.dx.length - 1, position));
+            const k0 = Math.floor(k);
+            const k1 = Math.min(profile.dx.length - 1, k0 + 1);
+            const f = k - k0;
+            weights += weight;
+            cx += weight * ((1 - f) * profile.dx[k0] + f * profile.dx[k1]);
+            cy += weight * ((1 - f) * profile.dy[k0] + f * profile.dy[k1]);
+        }
+        const scale = weights > 1 ? 1 / weights : 1;
+        
+        return { x: x + cx * scale, y: y + cy * scale };
+    }
+
+    /**
+     * Sample a module at its centre plus four inner points and average them.
+     * Confidence drops when the points disagree (blur, glare edge, a colour
+     * caught between levels), so the ECC can treat the symbol as an erasure.
+     */
+    sampleModule(imageData, cx, cy, modulePx) {
+        const { width, height, data } = imageData;
+        const spread = modulePx / 4;
+        const offsets = [[0, 0], [-spread, -spread], [spread, -spread], [-spread, spread], [spread, spread]];
+        const samples = [];
+        
+        offsets.forEach(([dx, dy]) => {
+            const px = Math.floor(cx + dx);
+            const py = Math.floor(cy + dy);
+            if (px < 0 || py < 0 || px >= width || py >= height) return;
+            const idx = (py * width + px) * 4;
+            samples.push([data[idx], data[idx + 1], data[idx + 2]]);
+        });
+        
+        if (samples.length === 0) return null;
+        
+        const mean = [0, 1, 2].map(c => samples.reduce((sum, sample) => sum + sample[c], 0) / samples.length);
+        let deviation = 0;
+        samples.forEach(sample => {
+            for (let c = 0; c < 3; c++) {
+                deviation = Math.max(deviation, Math.abs(sample[c] - mean[c]));
+            }
+        });
+        
+        return {
+            r: Math.round(mean[0]),
+            g: Math.round(mean[1]),
+            b: Math.round(mean[2]),
+            confidence: Math.max(0, 1 - deviation / 96)
+        };
     }
 
     showDecodedContent(data, metadata) {
@@ -288,8 +1257,15 @@ class HMQCDecoder {
         
         contentArea.innerHTML = '';
         downloadBtn.style.display = 'inline-block';
+        
+        // Download the recovered bytes under the original name and type
+        const mimeType = metadata.mimeType || this.defaultMimeType(metadata.dataType);
+        const filename = this.getDownloadName(metadata, mimeType);
+        downloadBtn.onclick = () => this.downloadFile(data, filename, mimeType);
+        
+        const kind = this.getPreviewKind(mimeType, metadata.dataType);
 
-        if (metadata.dataType === 'text') {
+        if (kind === 'text') {
             const decoder = new TextDecoder();
             const text = decoder.decode(data);
             
@@ -309,13 +1285,12 @@ class HMQCDecoder {
             `;
             
             contentArea.appendChild(textarea);
-            downloadBtn.onclick = () => this.downloadFile(text, 'decoded.txt', 'text/plain');
             
         } else {
-            const blob = new Blob([data]);
+            const blob = new Blob([data], { type: mimeType });
             const url = URL.createObjectURL(blob);
             
-            if (metadata.dataType === 'image') {
+            if (kind === 'image') {
                 const img = document.createElement('img');
                 img.src = url;
                 img.style.maxWidth = '100%';
@@ -323,48 +1298,113 @@ class HMQCDecoder {
                 img.style.border = '3px solid #00ff88';
                 img.onload = () => console.log('Decoded image displayed');
                 contentArea.appendChild(img);
-            } else if (metadata.dataType === 'audio') {
-                const audio = document.createElement('audio');
-                audio.controls = true;
-                audio.src = url;
-                audio.style.width = '100%';
-                contentArea.appendChild(audio);
+                
+                if (metadata.transformed) {
+                    const note = document.createElement('p');
+                    note.textContent = 'Note: the encoder re-encoded this image (lossy) to fit the code, so it is not byte-identical to the original file.';
+                    note.style.color = '#ffaa00';
+                    contentArea.appendChild(note);
+                }
+            } else if (kind === 'audio' || kind === 'video') {
+                const player = document.createElement(kind);
+                player.controls = true;
+                player.src = url;
+                player.style.width = '100%';
+                contentArea.appendChild(player);
             } else {
+                // The MIME type comes from the code itself: text only, never markup
                 const info = document.createElement('div');
-                info.innerHTML = `
-                    <p><strong>✓ Binary Data Recovered</strong></p>
-                    <p>Size: ${this.formatBytes(data.length)}</p>
-                    <p>Type: ${metadata.dataType}</p>
-                    <p>Click download to save the file.</p>
-                `;
+                const heading = document.createElement('strong');
+                heading.textContent = '✓ Binary Data Recovered';
+                info.appendChild(document.createElement('p')).appendChild(heading);
+                [
+                    `Size: ${this.formatBytes(data.length)}`,
+                    `Type: ${mimeType}`,
+                    'Click download to save the file.'
+                ].forEach(line => {
+                    info.appendChild(document.createElement('p')).textContent = line;
+                });
                 contentArea.appendChild(info);
             }
-            
-            downloadBtn.onclick = () => {
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `decoded-${metadata.dataType}-${Date.now()}.bin`;
-                a.click();
-            };
+        }
+        
+        if (metadata.filename || metadata.tags.length > 0) {
+            const details = document.createElement('p');
+            details.textContent = [
+                metadata.filename && `📄 ${metadata.filename}`,
+                metadata.modified && `Modified: ${metadata.modified.toLocaleString()}`,
+                metadata.tags.length > 0 && `Tags: ${metadata.tags.join(', ')}`
+            ].filter(Boolean).join(' | ');
+            details.style.marginTop = '10px';
+            contentArea.appendChild(details);
         }
         
         document.querySelector('.decoded-content-area').style.display = 'block';
     }
 
+    /**
+     * Preview by MIME type when the code carries one, else by data type
+     */
+    getPreviewKind(mimeType, dataType) {
+        const textTypes = ['application/json', 'application/xml', 'application/javascript', 'image/svg+xml'];
+        
+        if (mimeType.startsWith('text/') || textTypes.includes(mimeType)) return 'text';
+        if (mimeType.startsWith('image/')) return 'image';
+        if (mimeType.startsWith('audio/')) return 'audio';
+        if (mimeType.startsWith('video/')) return 'video';
+        if (mimeType === 'application/octet-stream') {
+            return ['text', 'image', 'audio'].includes(dataType) ? dataType : 'binary';
+        }
+        return 'binary';
+    }
+
+    defaultMimeType(dataType) {
+        return dataType === 'text' ? 'text/plain' : 'application/octet-stream';
+    }
+
+    /**
+     * Original filename (path separators stripped), or a name with a
+     * guessed extension for codes made before filenames were stored
+     */
+    getDownloadName(metadata, mimeType) {
+        if (metadata.filename) {
+            return metadata.filename.replace(/[\\/]/g, '_');
+        }
+        
+        const extensions = {
+            'text/plain': 'txt', 'application/json': 'json', 'image/png': 'png', 'image/jpeg': 'jpg',
+            'image/webp': 'webp', 'image/gif': 'gif', 'audio/wav': 'wav', 'audio/mpeg': 'mp3'
+        };
+        return `decoded-${metadata.dataType}-${Date.now()}.${extensions[mimeType] || 'bin'}`;
+    }
+
+    downloadFile(data, filename, type) {
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     showDecodingStats(metadata, decoded, scannedSize) {
         const stats = {
-            type: metadata.dataType,
+            type: metadata.transformed ? `${metadata.dataType} (re-encoded)` : metadata.dataType,
             original: this.formatBytes(metadata.originalSize),
             compressed: this.formatBytes(metadata.compressedSize),
             errors: decoded.correctedErrors,
+            erasures: decoded.correctedErasures,
             scanned: this.formatBytes(scannedSize),
             timestamp: metadata.timestamp.toLocaleString()
         };
         
         document.getElementById('statDecodedType').textContent = stats.type;
+        document.getElementById('statFileName').textContent = metadata.filename || '-';
+        document.getElementById('statFileInfo').textContent = metadata.mimeType || 'File Name';
         document.getElementById('statOriginalSize').textContent = stats.original;
         document.getElementById('statCompressedSize').textContent = stats.compressed;
         document.getElementById('statErrorsCorrected').textContent = stats.errors;
+        document.getElementById('statErasuresCorrected').textContent = stats.erasures;
         document.getElementById('statScannedSize').textContent = stats.scanned;
         document.getElementById('statTimestamp').textContent = stats.timestamp;
         
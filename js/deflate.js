@@ -0,0 +1,689 @@
+/**
+ * DEFLATE Engine for HMQC
+ * Pure JS raw DEFLATE (RFC 1951): LZ77 + Huffman coding
+ */
+
+class HMQCDeflate {
+    constructor() {
+        this.windowSize = 32768;
+        this.minMatch = 3;
+        this.maxMatch = 258;
+        this.maxBlockTokens = 16384;
+
+        // RFC 1951 length / distance tables
+        this.lengthBase = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+            35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+        this.lengthExtra = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+            3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+        this.distBase = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+            257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+        this.distExtra = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+            7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+        this.codeLengthOrder = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+        // Effort per compression level (0 = stored only)
+        this.levelConfig = [
+            { chain: 0, lazy: false, nice: 0 },
+            { chain: 4, lazy: false, nice: 8 },
+            { chain: 8, lazy: false, nice: 16 },
+            { chain: 16, lazy: false, nice: 32 },
+            { chain: 16, lazy: true, nice: 16 },
+            { chain: 32, lazy: true, nice: 32 },
+            { chain: 128, lazy: true, nice: 128 },
+            { chain: 256, lazy: true, nice: 128 },
+            { chain: 1024, lazy: true, nice: 258 },
+            { chain: 4096, lazy: true, nice: 258 }
+        ];
+
+        this.buildCodeTables();
+    }
+
+    /**
+     * Length → symbol index and distance → symbol index lookups,
+     * plus the fixed Huffman code lengths
+     */
+    buildCodeTables() {
+        this.lengthCode = new Uint8Array(this.maxMatch + 1);
+        for (let code = 0; code < this.lengthBase.length; code++) {
+            const end = code === this.lengthBase.length - 1 ? 258 : this.lengthBase[code + 1] - 1;
+            for (let len = this.lengthBase[code]; len <= end; len++) {
+                this.lengthCode[len] = code;
+            }
+        }
+        this.lengthCode[258] = 28;
+
+        this.distCode = new Uint8Array(this.windowSize + 1);
+        for (let code = 0; code < this.distBase.length; code++) {
+            const end = Math.min(this.windowSize, this.distBase[code] + (1 << this.distExtra[code]) - 1);
+            for (let dist = this.distBase[code]; dist <= end; dist++) {
+                this.distCode[dist] = code;
+            }
+        }
+
+        this.fixedLitLengths = new Uint8Array(288);
+        this.fixedLitLengths.fill(8, 0, 144);
+        this.fixedLitLengths.fill(9, 144, 256);
+        this.fixedLitLengths.fill(7, 256, 280);
+        this.fixedLitLengths.fill(8, 280, 288);
+        this.fixedDistLengths = new Uint8Array(30).fill(5);
+    }
+
+    /**
+     * Compress to raw DEFLATE at level 0-9
+     * An optional preset dictionary primes the window (zlib-style); the
+     * same dictionary must be passed to inflate.
+     */
+    deflate(data, level = 6, dictionary = null) {
+        const config = this.levelConfig[Math.max(0, Math.min(9, level | 0))];
+        const writer = this.createBitWriter(data.length);
+
+        if (config.chain === 0 || data.length === 0) {
+            this.writeStoredBlocks(writer, data, 0, data.length, true);
+            return writer.finish();
+        }
+
+        // Matches may reach back into the dictionary; only `data` is emitted
+        const preset = dictionary ? dictionary.subarray(Math.max(0, dictionary.length - this.windowSize)) : null;
+        if (preset && preset.length > 0) {
+            const combined = new Uint8Array(preset.length + data.length);
+            combined.set(preset);
+            combined.set(data, preset.length);
+            data = combined;
+        }
+        const start = preset ? preset.length : 0;
+
+        const tokens = this.findMatches(data, config, start);
+        let tokenStart = 0;
+        let byteStart = start;
+
+        while (tokenStart < tokens.length) {
+            const tokenEnd = Math.min(tokens.length, tokenStart + this.maxBlockTokens);
+            let byteEnd = byteStart;
+            for (let t = tokenStart; t < tokenEnd; t++) {
+                byteEnd += tokens[t] > 0xFFFF ? tokens[t] >>> 16 : 1;
+            }
+
+            this.writeBlock(writer, data, tokens, tokenStart, tokenEnd, byteStart, byteEnd, tokenEnd === tokens.length);
+            tokenStart = tokenEnd;
+            byteStart = byteEnd;
+        }
+
+        return writer.finish();
+    }
+
+    /**
+     * LZ77 with hash chains and optional lazy matching
+     * Token: literal byte (< 256) or (length << 16) | distance
+     * Positions before `start` are only indexed (preset dictionary).
+     */
+    findMatches(data, config, start = 0) {
+        const n = data.length;
+        const mask = this.windowSize - 1;
+        const head = new Int32Array(this.windowSize).fill(-1);
+        const prev = new Int32Array(this.windowSize).fill(-1);
+        const tokens = [];
+
+        const hashAt = (p) => ((data[p] << 10) ^ (data[p + 1] << 5) ^ data[p + 2]) & mask;
+
+        const insert = (p) => {
+            if (p + 2 >= n) return;
+            const h = hashAt(p);
+            prev[p & mask] = head[h];
+            head[h] = p;
+        };
+
+        const longestMatch = (p) => {
+            let bestLen = 0;
+            let bestDist = 0;
+            if (p + 2 >= n) return { len: 0, dist: 0 };
+
+            const maxLen = Math.min(this.maxMatch, n - p);
+            let candidate = head[hashAt(p)];
+            let chain = config.chain;
+
+            while (candidate >= 0 && p - candidate <= this.windowSize && chain-- > 0) {
+                if (data[candidate + bestLen] === data[p + bestLen]) {
+                    let len = 0;
+                    while (len < maxLen && data[candidate + len] === data[p + len]) len++;
+                    if (len > bestLen) {
+                        bestLen = len;
+                        bestDist = p - candidate;
+                        if (len >= config.nice || len === maxLen) break;
+                    }
+                }
+                const next = prev[candidate & mask];
+                if (next >= candidate) break; // Slot reused by a newer position
+                candidate = next;
+            }
+
+            return bestLen >= this.minMatch ? { len: bestLen, dist: bestDist } : { len: 0, dist: 0 };
+        };
+
+        for (let p = 0; p < start; p++) insert(p);
+
+        let i = start;
+        let pending = null;
+
+        while (i < n) {
+            const match = pending || longestMatch(i);
+            pending = null;
+            insert(i);
+
+            if (config.lazy && match.len >= this.minMatch && match.len < config.nice && i + 1 < n) {
+                const next = longestMatch(i + 1);
+                if (next.len > match.len) {
+                    tokens.push(data[i]);
+                    i++;
+                    pending = next;
+                    continue;
+                }
+            }
+
+            if (match.len >= this.minMatch) {
+                tokens.push((match.len << 16) | match.dist);
+                for (let k = 1; k < match.len; k++) insert(i + k);
+                i += match.len;
+            } else {
+                tokens.push(data[i]);
+                i++;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Emit one block as stored, fixed or dynamic Huffman, whichever is smallest
+     */
+    writeBlock(writer, data, tokens, start, end, byteStart, byteEnd, isFinal) {
+        const litFreq = new Uint32Array(286);
+        const distFreq = new Uint32Array(30);
+
+        for (let t = start; t < end; t++) {
+            const token = tokens[t];
+            if (token > 0xFFFF) {
+                litFreq[257 + this.lengthCode[token >>> 16]]++;
+                distFreq[this.distCode[token & 0xFFFF]]++;
+            } else {
+                litFreq[token]++;
+            }
+        }
+        litFreq[256] = 1;
+
+        const litLengths = this.buildCodeLengths(litFreq, 15);
+        const distLengths = this.buildCodeLengths(distFreq, 15);
+        if (distLengths.every(len => len === 0)) distLengths[0] = 1; // At least one distance code
+
+        const header = this.buildDynamicHeader(litLengths, distLengths);
+
+        const dataBits = (lit, dist) => {
+            let bits = 0;
+            for (let sym = 0; sym < 286; sym++) {
+                bits += litFreq[sym] * (lit[sym] + (sym > 256 ? this.lengthExtra[sym - 257] : 0));
+            }
+            for (let sym = 0; sym < 30; sym++) {
+                bits += distFreq[sym] * (dist[sym] + this.distExtra[sym]);
+            }
+            return bits;
+        };
+
+        const dynamicBits = 3 + header.bits + dataBits(litLengths, distLengths);
+        const fixedBits = 3 + dataBits(this.fixedLitLengths, this.fixedDistLengths);
+        const storedBits = 3 + 7 + 32 * Math.ceil((byteEnd - byteStart) / 65535) + 8 * (byteEnd - byteStart);
+
+        if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+            this.writeStoredBlocks(writer, data, byteStart, byteEnd, isFinal);
+            return;
+        }
+
+        writer.writeBits(isFinal ? 1 : 0, 1);
+        let litCodes;
+        let distCodes;
+
+        if (fixedBits <= dynamicBits) {
+            writer.writeBits(1, 2);
+            litCodes = this.buildCanonicalCodes(this.fixedLitLengths);
+            distCodes = this.buildCanonicalCodes(this.fixedDistLengths);
+            this.writeTokens(writer, tokens, start, end, this.fixedLitLengths, litCodes, this.fixedDistLengths, distCodes);
+        } else {
+            writer.writeBits(2, 2);
+            this.writeDynamicHeader(writer, header);
+            litCodes = this.buildCanonicalCodes(litLengths);
+            distCodes = this.buildCanonicalCodes(distLengths);
+            this.writeTokens(writer, tokens, start, end, litLengths, litCodes, distLengths, distCodes);
+        }
+    }
+
+    writeTokens(writer, tokens, start, end, litLengths, litCodes, distLengths, distCodes) {
+        for (let t = start; t < end; t++) {
+            const token = tokens[t];
+            if (token <= 0xFFFF) {
+                writer.writeBits(litCodes[token], litLengths[token]);
+                continue;
+            }
+
+            const len = token >>> 16;
+            const dist = token & 0xFFFF;
+            const lenCode = this.lengthCode[len];
+            const distCode = this.distCode[dist];
+
+            writer.writeBits(litCodes[257 + lenCode], litLengths[257 + lenCode]);
+            writer.writeBits(len - this.lengthBase[lenCode], this.lengthExtra[lenCode]);
+            writer.writeBits(distCodes[distCode], distLengths[distCode]);
+            writer.writeBits(dist - this.distBase[distCode], this.distExtra[distCode]);
+        }
+        writer.writeBits(litCodes[256], litLengths[256]);
+    }
+
+    writeStoredBlocks(writer, data, start, end, isFinal) {
+        let pos = start;
+        do {
+            const len = Math.min(65535, end - pos);
+            const last = isFinal && pos + len >= end;
+
+            writer.writeBits(last ? 1 : 0, 1);
+            writer.writeBits(0, 2);
+            writer.alignToByte();
+            writer.writeBits(len, 16);
+            writer.writeBits(~len & 0xFFFF, 16);
+            writer.writeBytes(data.subarray(pos, pos + len));
+            pos += len;
+        } while (pos < end);
+    }
+
+    /**
+     * HLIT/HDIST/HCLEN plus run-length coded code lengths (symbols 16-18)
+     */
+    buildDynamicHeader(litLengths, distLengths) {
+        let hlit = 286;
+        while (hlit > 257 && litLengths[hlit - 1] === 0) hlit--;
+        let hdist = 30;
+        while (hdist > 1 && distLengths[hdist - 1] === 0) hdist--;
+
+        const lengths = [...litLengths.slice(0, hlit), ...distLengths.slice(0, hdist)];
+        const symbols = [];
+
+        for (let i = 0; i < lengths.length;) {
+            const len = lengths[i];
+            let run = 1;
+            while (i + run < lengths.length && lengths[i + run] === len) run++;
+
+            if (len === 0 && run >= 3) {
+                const count = Math.min(run, 138);
+                symbols.push(count >= 11 ? [18, count - 11] : [17, count - 3]);
+                i += count;
+            } else if (len !== 0 && run >= 4) {
+                symbols.push([len]);
+                const count = Math.min(run - 1, 6);
+                symbols.push([16, count - 3]);
+                i += 1 + count;
+            } else {
+                symbols.push([len]);
+                i++;
+            }
+        }
+
+        const clFreq = new Uint32Array(19);
+        symbols.forEach(([sym]) => clFreq[sym]++);
+        const clLengths = this.buildCodeLengths(clFreq, 7);
+
+        let hclen = 19;
+        while (hclen > 4 && clLengths[this.codeLengthOrder[hclen - 1]] === 0) hclen--;
+
+        const extraBits = { 16: 2, 17: 3, 18: 7 };
+        let bits = 5 + 5 + 4 + hclen * 3;
+        symbols.forEach(([sym]) => {
+            bits += clLengths[sym] + (extraBits[sym] || 0);
+        });
+
+        return { hlit, hdist, hclen, symbols, clLengths, bits };
+    }
+
+    writeDynamicHeader(writer, header) {
+        const { hlit, hdist, hclen, symbols, clLengths } = header;
+        const clCodes = this.buildCanonicalCodes(clLengths);
+        const extraBits = { 16: 2, 17: 3, 18: 7 };
+
+        writer.writeBits(hlit - 257, 5);
+        writer.writeBits(hdist - 1, 5);
+        writer.writeBits(hclen - 4, 4);
+        for (let i = 0; i < hclen; i++) {
+            writer.writeBits(clLengths[this.codeLengthOrder[i]], 3);
+        }
+
+        symbols.forEach(([sym, extra]) => {
+            writer.writeBits(clCodes[sym], clLengths[sym]);
+            if (extraBits[sym]) writer.writeBits(extra, extraBits[sym]);
+        });
+    }
+
+    /**
+     * Huffman code lengths limited to maxBits
+     * Over-long codes are clamped and the Kraft sum repaired by
+     * lengthening the deepest shorter codes.
+     */
+    buildCodeLengths(freq, maxBits) {
+        const lengths = new Uint8Array(freq.length);
+        const symbols = [];
+        for (let i = 0; i < freq.length; i++) {
+            if (freq[i] > 0) symbols.push(i);
+        }
+
+        if (symbols.length === 0) return lengths;
+        if (symbols.length === 1) {
+            lengths[symbols[0]] = 1;
+            return lengths;
+        }
+
+        // Two-queue Huffman over symbols sorted by frequency
+        symbols.sort((a, b) => freq[a] - freq[b] || a - b);
+        const nodes = symbols.map(sym => ({ weight: freq[sym], sym, left: null, right: null }));
+        const merged = [];
+        let leafIndex = 0;
+        let mergedIndex = 0;
+
+        const takeSmallest = () => {
+            if (leafIndex < nodes.length &&
+                (mergedIndex >= merged.length || nodes[leafIndex].weight <= merged[mergedIndex].weight)) {
+                return nodes[leafIndex++];
+            }
+            return merged[mergedIndex++];
+        };
+
+        for (let i = 0; i < symbols.length - 1; i++) {
+            const a = takeSmallest();
+            const b = takeSmallest();
+            merged.push({ weight: a.weight + b.weight, sym: -1, left: a, right: b });
+        }
+
+        const depthCount = new Uint32Array(Math.max(maxBits, 64) + 1);
+        const stack = [[merged[merged.length - 1], 0]];
+        while (stack.length > 0) {
+            const [node, depth] = stack.pop();
+            if (node.sym >= 0) {
+                depthCount[Math.min(depth, maxBits)]++;
+            } else {
+                stack.push([node.left, depth + 1], [node.right, depth + 1]);
+            }
+        }
+
+        // Repair Kraft inequality after clamping
+        let total = 0;
+        for (let len = 1; len <= maxBits; len++) {
+            total += depthCount[len] * Math.pow(2, maxBits - len);
+        }
+        while (total > Math.pow(2, maxBits)) {
+            depthCount[maxBits]--;
+            for (let len = maxBits - 1; len > 0; len--) {
+                if (depthCount[len] > 0) {
+                    depthCount[len]--;
+                    depthCount[len + 1] += 2;
+                    break;
+                }
+            }
+            total--;
+        }
+
+        // Shortest codes go to the most frequent symbols
+        let symbolIndex = symbols.length - 1;
+        for (let len = 1; len <= maxBits; len++) {
+            for (let k = 0; k < depthCount[len]; k++) {
+                lengths[symbols[symbolIndex--]] = len;
+            }
+        }
+
+        return lengths;
+    }
+
+    /**
+     * Canonical codes, bit-reversed for LSB-first output
+     */
+    buildCanonicalCodes(lengths) {
+        const maxLen = Math.max(0, ...lengths);
+        const blCount = new Uint16Array(maxLen + 1);
+        lengths.forEach(len => { if (len) blCount[len]++; });
+
+        const nextCode = new Uint16Array(maxLen + 2);
+        let code = 0;
+        for (let bits = 1; bits <= maxLen; bits++) {
+            code = (code + blCount[bits - 1]) << 1;
+            nextCode[bits] = code;
+        }
+
+        const codes = new Uint16Array(lengths.length);
+        lengths.forEach((len, sym) => {
+            if (!len) return;
+            let value = nextCode[len]++;
+            let reversed = 0;
+            for (let i = 0; i < len; i++) {
+                reversed = (reversed << 1) | (value & 1);
+                value >>= 1;
+            }
+            codes[sym] = reversed;
+        });
+
+        return codes;
+    }
+
+    createBitWriter(sizeHint) {
+        let buffer = new Uint8Array(Math.max(1024, sizeHint + 64));
+        let pos = 0;
+        let bitBuf = 0;
+        let bitCount = 0;
+
+        const ensure = (extra) => {
+            if (pos + extra <= buffer.length) return;
+            const grown = new Uint8Array(Math.max(buffer.length * 2, pos + extra));
+            grown.set(buffer.subarray(0, pos));
+            buffer = grown;
+        };
+
+        return {
+            writeBits(value, count) {
+                bitBuf |= (value & ((1 << count) - 1)) << bitCount;
+                bitCount += count;
+                ensure(3);
+                while (bitCount >= 8) {
+                    buffer[pos++] = bitBuf & 0xFF;
+                    bitBuf >>>= 8;
+                    bitCount -= 8;
+                }
+            },
+            alignToByte() {
+                if (bitCount > 0) {
+                    ensure(1);
+                    buffer[pos++] = bitBuf;
+                    bitBuf = 0;
+                    bitCount = 0;
+                }
+            },
+            writeBytes(bytes) {
+                ensure(bytes.length);
+                buffer.set(bytes, pos);
+                pos += bytes.length;
+            },
+            finish() {
+                this.alignToByte();
+                return buffer.slice(0, pos);
+            }
+        };
+    }
+
+    /**
+     * Decompress raw DEFLATE, optionally with the preset dictionary used by deflate
+     */
+    inflate(data, dictionary = null) {
+        const preset = dictionary ? dictionary.subarray(Math.max(0, dictionary.length - this.windowSize)) : new Uint8Array(0);
+        let pos = 0;
+        let bitBuf = 0;
+        let bitCount = 0;
+        let out = new Uint8Array(Math.max(1024, preset.length + data.length * 4));
+        out.set(preset);
+        let outPos = preset.length;
+
+        const needBits = (count) => {
+            while (bitCount < count) {
+                if (pos >= data.length) throw new Error('DEFLATE stream truncated');
+                bitBuf |= data[pos++] << bitCount;
+                bitCount += 8;
+            }
+        };
+        const readBits = (count) => {
+            if (count === 0) return 0;
+            needBits(count);
+            const value = bitBuf & ((1 << count) - 1);
+            bitBuf >>>= count;
+            bitCount -= count;
+            return value;
+        };
+        const ensure = (extra) => {
+            if (outPos + extra <= out.length) return;
+            const grown = new Uint8Array(Math.max(out.length * 2, outPos + extra));
+            grown.set(out.subarray(0, outPos));
+            out = grown;
+        };
+        const decodeSymbol = (table) => {
+            // Peek maxLen bits (zero-padded at the very end of the stream)
+            while (bitCount < table.maxLen && pos < data.length) {
+                bitBuf |= data[pos++] << bitCount;
+                bitCount += 8;
+            }
+            const entry = table.entries[bitBuf & ((1 << table.maxLen) - 1)];
+            const len = entry & 15;
+            if (entry === 0 || len > bitCount) {
+                throw new Error('Invalid Huffman code in DEFLATE stream');
+            }
+            bitBuf >>>= len;
+            bitCount -= len;
+            return entry >> 4;
+        };
+
+        const fixedLit = this.buildDecodeTable(this.fixedLitLengths);
+        const fixedDist = this.buildDecodeTable(this.fixedDistLengths);
+        let isFinal = 0;
+
+        while (!isFinal) {
+            isFinal = readBits(1);
+            const type = readBits(2);
+
+            if (type === 0) {
+                bitBuf = 0;
+                bitCount = 0;
+                if (pos + 4 > data.length) throw new Error('DEFLATE stream truncated');
+                const len = data[pos] | (data[pos + 1] << 8);
+                const nlen = data[pos + 2] | (data[pos + 3] << 8);
+                if ((len ^ 0xFFFF) !== nlen) throw new Error('Corrupt stored block length');
+                pos += 4;
+                if (pos + len > data.length) throw new Error('DEFLATE stream truncated');
+                ensure(len);
+                out.set(data.subarray(pos, pos + len), outPos);
+                outPos += len;
+                pos += len;
+                continue;
+            }
+
+            let litTable;
+            let distTable;
+            if (type === 1) {
+                litTable = fixedLit;
+                distTable = fixedDist;
+            } else if (type === 2) {
+                [litTable, distTable] = this.readDynamicTables(readBits, decodeSymbol);
+            } else {
+                throw new Error('Invalid DEFLATE block type');
+            }
+
+            for (;;) {
+                const sym = decodeSymbol(litTable);
+                if (sym < 256) {
+                    ensure(1);
+                    out[outPos++] = sym;
+                } else if (sym === 256) {
+                    break;
+                } else {
+                    const lenCode = sym - 257;
+                    if (lenCode >= 29) throw new Error('Invalid length code');
+                    const len = this.lengthBase[lenCode] + readBits(this.lengthExtra[lenCode]);
+                    const distCode = decodeSymbol(distTable);
+                    if (distCode >= 30) throw new Error('Invalid distance code');
+                    const dist = this.distBase[distCode] + readBits(this.distExtra[distCode]);
+                    if (dist > outPos) throw new Error('Distance beyond start of output');
+
+                    ensure(len);
+                    for (let k = 0; k < len; k++) {
+                        out[outPos] = out[outPos - dist];
+                        outPos++;
+                    }
+                }
+            }
+        }
+
+        return out.slice(preset.length, outPos);
+    }
+
+    readDynamicTables(readBits, decodeSymbol) {
+        const hlit = readBits(5) + 257;
+        const hdist = readBits(5) + 1;
+        const hclen = readBits(4) + 4;
+
+        const clLengths = new Uint8Array(19);
+        for (let i = 0; i < hclen; i++) {
+            clLengths[this.codeLengthOrder[i]] = readBits(3);
+        }
+        const clTable = this.buildDecodeTable(clLengths);
+
+        const lengths = new Uint8Array(hlit + hdist);
+        for (let i = 0; i < lengths.length;) {
+            const sym = decodeSymbol(clTable);
+            if (sym < 16) {
+                lengths[i++] = sym;
+                continue;
+            }
+
+            let repeat;
+            let value = 0;
+            if (sym === 16) {
+                if (i === 0) throw new Error('Repeat with no previous code length');
+                value = lengths[i - 1];
+                repeat = 3 + readBits(2);
+            } else if (sym === 17) {
+                repeat = 3 + readBits(3);
+            } else {
+                repeat = 11 + readBits(7);
+            }
+            if (i + repeat > lengths.length) throw new Error('Code lengths overflow');
+            lengths.fill(value, i, i + repeat);
+            i += repeat;
+        }
+
+        return [
+            this.buildDecodeTable(lengths.subarray(0, hlit)),
+            this.buildDecodeTable(lengths.subarray(hlit))
+        ];
+    }
+
+    /**
+     * Lookup table indexed by the next maxLen input bits
+     * Entry: (symbol << 4) | code length, 0 when no code matches
+     */
+    buildDecodeTable(lengths) {
+        const codes = this.buildCanonicalCodes(lengths);
+        const maxLen = Math.max(0, ...lengths);
+        const entries = new Int32Array(1 << maxLen);
+
+        for (let sym = 0; sym < lengths.length; sym++) {
+            const len = lengths[sym];
+            if (!len) continue;
+            for (let i = codes[sym]; i < entries.length; i += 1 << len) {
+                entries[i] = (sym << 4) | len;
+            }
+        }
+
+        return { entries, maxLen };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HMQCDeflate;
+}
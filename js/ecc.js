@@ -1,33 +1,109 @@
 /**
  * Error Correction Code Engine
- * Simplified Reed-Solomon implementation for browser
+ * Reed-Solomon RS(255,k) over GF(256) for browser
  */
 
 class HMQCECC {
-    constructor() {
+    constructor(level = 'M') {
         this.symbolSize = 8; // bits per symbol
-        this.messageLength = 223; //原始数据长度
-        this.codewordLength = 255; // RS(255,223)
-        this.parityLength = 32; //纠错符号数
+        this.codewordLength = 255; // RS(255,k)
+        this.primitive = 0x11D; // x^8 + x^4 + x^3 + x^2 + 1
+        
+        // QR-style levels: parity symbols per 255-byte codeword
+        this.levels = {
+            L: { id: 0, parity: 18, label: 'Low (~7%)' },
+            M: { id: 1, parity: 38, label: 'Medium (~15%)' },
+            Q: { id: 2, parity: 64, label: 'Quartile (~25%)' },
+            H: { id: 3, parity: 76, label: 'High (~30%)' }
+        };
+        
+        // Byte confidence (0-255) below which a symbol is passed as an erasure
+        this.erasureThreshold = 96;
+        
+        this.initGaloisTables();
+        this.setLevel(level);
+    }
+
+    /**
+     * Select an ECC level ('L', 'M', 'Q', 'H') or an explicit parity count
+     */
+    setLevel(level) {
+        if (typeof level === 'number') {
+            this.level = null;
+            this.parityLength = level;
+        } else {
+            if (!this.levels[level]) {
+                throw new Error(`Unknown ECC level: ${level}`);
+            }
+            this.level = level;
+            this.parityLength = this.levels[level].parity; //纠错符号数
+        }
+        
+        this.messageLength = this.codewordLength - this.parityLength; //原始数据长度
         this.generatorPolynomial = this.generateGeneratorPolynomial();
     }
 
     /**
-     * Generate RS generator polynomial
+     * Map a level id stored in the format field back to its key
+     */
+    levelFromId(id) {
+        return Object.keys(this.levels).find(key => this.levels[key].id === id) || null;
+    }
+
+    /**
+     * Build GF(256) antilog (exp) and log tables
+     */
+    initGaloisTables() {
+        this.gfExp = new Uint8Array(512);
+        this.gfLog = new Uint8Array(256);
+
+        let x = 1;
+        for (let i = 0; i < 255; i++) {
+            this.gfExp[i] = x;
+            this.gfLog[x] = i;
+            x <<= 1;
+            if (x & 0x100) x ^= this.primitive;
+        }
+
+        // Duplicate so gfExp[a + b] never needs a modulo
+        for (let i = 255; i < 512; i++) {
+            this.gfExp[i] = this.gfExp[i - 255];
+        }
+    }
+
+    gfMul(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return this.gfExp[this.gfLog[a] + this.gfLog[b]];
+    }
+
+    gfDiv(a, b) {
+        if (b === 0) throw new Error('GF(256) division by zero');
+        if (a === 0) return 0;
+        return this.gfExp[this.gfLog[a] + 255 - this.gfLog[b]];
+    }
+
+    gfPow(a, power) {
+        if (a === 0) return 0;
+        return this.gfExp[((this.gfLog[a] * power) % 255 + 255) % 255];
+    }
+
+    /**
+     * Generate RS generator polynomial g(x) = (x - a^0)(x - a^1)...(x - a^(n-k-1))
+     * Coefficients are stored highest degree first.
      */
     generateGeneratorPolynomial() {
-        // Simplified GF(256) generator
-        const gp = new Uint8Array([1]);
-        
+        let gp = new Uint8Array([1]);
+
         for (let i = 0; i < this.parityLength; i++) {
+            const root = this.gfExp[i];
             const newGp = new Uint8Array(gp.length + 1);
             for (let j = 0; j < gp.length; j++) {
                 newGp[j] ^= gp[j];
-                newGp[j + 1] ^= gp[j];
+                newGp[j + 1] ^= this.gfMul(gp[j], root);
             }
             gp = newGp;
         }
-        
+
         return gp;
     }
 
@@ -48,16 +124,32 @@ class HMQCECC {
 
     /**
      * Decode and correct errors
+     * Optional per-byte confidence (0-255) turns unsure symbols into erasures.
      */
-    decode(data) {
+    decode(data, confidence = null) {
         const blocks = this.extractBlocks(data);
+        const confidenceBlocks = confidence ? this.extractBlocks(confidence) : [];
         const decodedBlocks = [];
         let correctedErrors = 0;
+        let correctedErasures = 0;
+        let failedBlocks = 0;
         
-        blocks.forEach(block => {
-            const { data: correctedData, errors } = this.rsDecodeBlock(block);
-            decodedBlocks.push(correctedData);
-            correctedErrors += errors;
+        blocks.forEach((block, index) => {
+            const erasures = confidence ? this.findErasures(confidenceBlocks[index]) : [];
+            let result = this.rsDecodeBlock(block, erasures);
+            
+            // Bad erasure guesses can make a block fail that errors-only decoding fixes
+            if (result.uncorrectable && erasures.length > 0) {
+                result = this.rsDecodeBlock(block);
+            }
+            
+            decodedBlocks.push(result.data);
+            if (result.uncorrectable) {
+                failedBlocks++;
+            } else {
+                correctedErrors += result.errors;
+                correctedErasures += result.erasures || 0;
+            }
         });
         
         const result = this.concatenateArrays(...decodedBlocks);
@@ -65,10 +157,62 @@ class HMQCECC {
         return {
             data: result,
             correctedErrors,
-            success: correctedErrors <= this.parityLength / 2
+            correctedErasures,
+            failedBlocks,
+            uncorrectable: failedBlocks > 0,
+            success: failedBlocks === 0
         };
     }
 
+    /**
+     * Least confident positions below the threshold, capped so that
+     * some parity is always left over to detect miscorrection
+     */
+    findErasures(confidence) {
+        const positions = [];
+        for (let i = 0; i < confidence.length; i++) {
+            if (confidence[i] < this.erasureThreshold) positions.push(i);
+        }
+        
+        return positions
+            .sort((a, b) => confidence[a] - confidence[b])
+            .slice(0, Math.max(0, this.parityLength - 2))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Block interleaving: byte j of every codeword is emitted before byte j+1,
+     * so a burst of damage becomes a few symbol errors in many blocks
+     */
+    interleave(encoded) {
+        const n = this.codewordLength;
+        const blockCount = encoded.length / n;
+        const result = new Uint8Array(encoded.length);
+        let out = 0;
+        
+        for (let j = 0; j < n; j++) {
+            for (let b = 0; b < blockCount; b++) {
+                result[out++] = encoded[b * n + j];
+            }
+        }
+        
+        return result;
+    }
+
+    deinterleave(stream, blockCount) {
+        const n = this.codewordLength;
+        const result = new Uint8Array(blockCount * n);
+        let index = 0;
+        
+        for (let j = 0; j < n; j++) {
+            for (let b = 0; b < blockCount; b++) {
+                result[b * n + j] = stream[index++];
+            }
+        }
+        
+        return result;
+    }
+
     /**
      * Split data into RS blocks
      */
@@ -106,97 +250,279 @@ class HMQCECC {
     }
 
     /**
-     * RS encoding for single block
+     * RS encoding for single block (systematic, remainder of m(x)·x^(n-k) / g(x))
      */
     rsEncodeBlock(message) {
-        const codeword = new Uint8Array(this.codewordLength);
-        codeword.set(message, 0);
+        const gp = this.generatorPolynomial;
+        const parity = new Uint8Array(this.parityLength);
         
-        // Calculate parity symbols
         for (let i = 0; i < message.length; i++) {
-            const feedback = codeword[i] ^ codeword[message.length];
+            const feedback = message[i] ^ parity[0];
+            parity.copyWithin(0, 1);
+            parity[this.parityLength - 1] = 0;
+            
             if (feedback !== 0) {
-                for (let j = 1; j <= this.parityLength; j++) {
-                    codeword[i + j] ^= feedback;
+                for (let j = 0; j < this.parityLength; j++) {
+                    parity[j] ^= this.gfMul(gp[j + 1], feedback);
                 }
             }
         }
         
-        return codeword.slice(message.length);
+        return parity;
+    }
+
+    /**
+     * RS decoding with error and erasure correction
+     * Syndromes → Forney syndromes → Berlekamp-Massey → Chien search → Forney
+     * Corrects e errors and f erasures while 2e + f <= n - k.
+     */
+    rsDecodeBlock(codeword, erasures = []) {
+        const messageLength = codeword.length - this.parityLength;
+        const syndromes = this.calculateSyndromes(codeword);
+        const failed = (errors) => ({
+            data: codeword.slice(0, messageLength),
+            errors,
+            erasures: erasures.length,
+            uncorrectable: true
+        });
+        
+        // If syndromes are zero, no errors
+        if (syndromes.every(s => s === 0)) {
+            return {
+                data: codeword.slice(0, messageLength),
+                errors: 0,
+                erasures: 0
+            };
+        }
+        
+        if (erasures.length > this.parityLength) {
+            return failed(0);
+        }
+        
+        // Γ(x) = Π(1 + Y_j·x) over the known erasure locations
+        const erasureLocator = this.buildErasureLocator(erasures, codeword.length);
+        
+        // Forney syndromes hide the erasures so BM only sees unknown errors
+        const forneySyndromes = this.multiplyPolynomials(syndromes, erasureLocator)
+            .slice(erasures.length, this.parityLength);
+        const errorLocator = this.findErrorLocator(forneySyndromes);
+        const errorCount = errorLocator.length - 1;
+        
+        if (errorCount * 2 + erasures.length > this.parityLength) {
+            return failed(errorCount);
+        }
+        
+        const locator = this.multiplyPolynomials(errorLocator, erasureLocator);
+        const positions = this.findErrorPositions(locator, codeword.length);
+        
+        // Too many errors
+        if (positions.length !== locator.length - 1) {
+            return failed(errorCount);
+        }
+        
+        const corrected = new Uint8Array(codeword);
+        const magnitudes = this.findErrorMagnitudes(syndromes, locator, positions, codeword.length);
+        positions.forEach((pos, i) => {
+            corrected[pos] ^= magnitudes[i];
+        });
+        
+        // Miscorrection guard: a valid codeword has all-zero syndromes
+        if (!this.calculateSyndromes(corrected).every(s => s === 0)) {
+            return failed(errorCount);
+        }
+        
+        return {
+            data: corrected.slice(0, messageLength),
+            errors: errorCount,
+            erasures: erasures.length
+        };
+    }
+
+    buildErasureLocator(erasures, codewordLength) {
+        let locator = [1];
+        
+        erasures.forEach(pos => {
+            const y = this.gfExp[(codewordLength - 1 - pos) % 255];
+            locator = this.multiplyPolynomials(locator, [1, y]);
+        });
+        
+        return locator;
+    }
+
+    /**
+     * Polynomial product, coefficients lowest degree first
+     */
+    multiplyPolynomials(a, b) {
+        const result = new Array(a.length + b.length - 1).fill(0);
+        
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === 0) continue;
+            for (let j = 0; j < b.length; j++) {
+                result[i + j] ^= this.gfMul(a[i], b[j]);
+            }
+        }
+        
+        return result;
     }
 
     /**
-     * RS decoding with error correction
+     * S_i = r(a^i) for i = 0..n-k-1
      */
-    rsDecodeBlock(codeword) {
-        // Simplified syndrome calculation
+    calculateSyndromes(codeword) {
         const syndromes = new Uint8Array(this.parityLength);
-        let errors = 0;
         
-        // Check syndromes
         for (let i = 0; i < this.parityLength; i++) {
+            const logRoot = i;
             let sum = 0;
             for (let j = 0; j < codeword.length; j++) {
-                sum ^= codeword[j];
+                // Horner: sum = sum * a^i + c_j
+                sum = (sum === 0 ? 0 : this.gfExp[this.gfLog[sum] + logRoot]) ^ codeword[j];
             }
             syndromes[i] = sum;
-            if (sum !== 0) errors++;
         }
         
-        // If syndromes are zero, no errors
-        if (errors === 0) {
-            return {
-                data: codeword.slice(0, this.messageLength),
-                errors: 0
-            };
-        }
+        return syndromes;
+    }
+
+    /**
+     * Berlekamp-Massey: error locator Λ(x), coefficients lowest degree first
+     */
+    findErrorLocator(syndromes) {
+        let locator = [1];
+        let previous = [1];
+        let length = 0;
+        let shift = 1;
+        let lastDiscrepancy = 1;
         
-        // Simplified error correction
-        // In real implementation, use Berlekamp-Massey algorithm
-        if (errors <= this.parityLength / 2) {
-            // Attempt correction (simplified)
-            const corrected = new Uint8Array(codeword);
+        for (let r = 0; r < syndromes.length; r++) {
+            let discrepancy = syndromes[r];
+            for (let i = 1; i <= length; i++) {
+                discrepancy ^= this.gfMul(locator[i] || 0, syndromes[r - i]);
+            }
             
-            // Flip bits in suspicious positions (simplified approach)
-            for (let i = 0; i < corrected.length; i++) {
-                if (Math.random() < 0.1) { // Simulate finding errors
-                    corrected[i] ^= 0xFF;
-                }
+            if (discrepancy === 0) {
+                shift++;
+                continue;
             }
             
-            return {
-                data: corrected.slice(0, this.messageLength),
-                errors: errors
-            };
+            const coef = this.gfDiv(discrepancy, lastDiscrepancy);
+            const updated = locator.slice();
+            for (let i = 0; i < previous.length; i++) {
+                updated[i + shift] = (updated[i + shift] || 0) ^ this.gfMul(coef, previous[i]);
+            }
+            
+            if (2 * length <= r) {
+                previous = locator;
+                length = r + 1 - length;
+                lastDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = updated;
         }
         
-        // Too many errors
-        return {
-            data: codeword.slice(0, this.messageLength),
-            errors: errors,
-            uncorrectable: true
-        };
+        // Trim trailing zero coefficients
+        while (locator.length > 1 && locator[locator.length - 1] === 0) {
+            locator.pop();
+        }
+        
+        return locator;
     }
 
     /**
-     * CRC-64 checksum for validation
+     * Chien search: position j is in error when Λ(a^-(n-1-j)) = 0
+     */
+    findErrorPositions(locator, codewordLength) {
+        const positions = [];
+        
+        for (let j = 0; j < codewordLength; j++) {
+            const logInverse = (255 - (codewordLength - 1 - j) % 255) % 255;
+            let value = 0;
+            for (let i = locator.length - 1; i >= 0; i--) {
+                value = (value === 0 ? 0 : this.gfExp[this.gfLog[value] + logInverse]) ^ locator[i];
+            }
+            if (value === 0) positions.push(j);
+        }
+        
+        return positions;
+    }
+
+    /**
+     * Forney algorithm: e_k = X_k · Ω(X_k^-1) / Λ'(X_k^-1)
+     */
+    findErrorMagnitudes(syndromes, locator, positions, codewordLength) {
+        // Ω(x) = S(x)·Λ(x) mod x^(n-k)
+        const evaluator = new Uint8Array(this.parityLength);
+        for (let i = 0; i < this.parityLength; i++) {
+            let sum = 0;
+            for (let j = 0; j <= i && j < locator.length; j++) {
+                sum ^= this.gfMul(locator[j], syndromes[i - j]);
+            }
+            evaluator[i] = sum;
+        }
+        
+        return positions.map(pos => {
+            const x = this.gfExp[(codewordLength - 1 - pos) % 255];
+            const xInverse = this.gfDiv(1, x);
+            
+            let omega = 0;
+            for (let i = evaluator.length - 1; i >= 0; i--) {
+                omega = this.gfMul(omega, xInverse) ^ evaluator[i];
+            }
+            
+            // Formal derivative keeps only odd powers in characteristic 2
+            let derivative = 0;
+            for (let i = 1; i < locator.length; i += 2) {
+                derivative ^= this.gfMul(locator[i], this.gfPow(xInverse, i - 1));
+            }
+            
+            // Repeated root: leave it to the syndrome re-check to reject
+            if (derivative === 0) return 0;
+            
+            return this.gfMul(x, this.gfDiv(omega, derivative));
+        });
+    }
+
+    /**
+     * CRC-64 checksum for validation (CRC-64/WE, table driven on 32-bit halves)
      */
     calculateChecksum(data) {
-        let crc = 0xFFFFFFFFFFFFFFFFn;
-        const polynomial = 0x42F0E1EBA9EA3693n;
+        if (!this.crcTableHi) this.initCrcTable();
+        
+        let hi = 0xFFFFFFFF;
+        let lo = 0xFFFFFFFF;
         
         for (let i = 0; i < data.length; i++) {
-            crc ^= BigInt(data[i]) << 56n;
+            const index = ((hi >>> 24) ^ data[i]) & 0xFF;
+            hi = (((hi << 8) | (lo >>> 24)) ^ this.crcTableHi[index]) >>> 0;
+            lo = ((lo << 8) ^ this.crcTableLo[index]) >>> 0;
+        }
+        
+        return ((BigInt((hi ^ 0xFFFFFFFF) >>> 0) << 32n) | BigInt((lo ^ 0xFFFFFFFF) >>> 0));
+    }
+
+    initCrcTable() {
+        const polyHi = 0x42F0E1EB;
+        const polyLo = 0xA9EA3693;
+        this.crcTableHi = new Uint32Array(256);
+        this.crcTableLo = new Uint32Array(256);
+        
+        for (let n = 0; n < 256; n++) {
+            let hi = n << 24;
+            let lo = 0;
             for (let j = 0; j < 8; j++) {
-                if ((crc & 0x8000000000000000n) !== 0n) {
-                    crc = (crc << 1n) ^ polynomial;
-                } else {
-                    crc <<= 1n;
+                const carry = hi & 0x80000000;
+                hi = ((hi << 1) | (lo >>> 31)) >>> 0;
+                lo = (lo << 1) >>> 0;
+                if (carry) {
+                    hi = (hi ^ polyHi) >>> 0;
+                    lo = (lo ^ polyLo) >>> 0;
                 }
             }
+            this.crcTableHi[n] = hi;
+            this.crcTableLo[n] = lo;
         }
-        
-        return crc ^ 0xFFFFFFFFFFFFFFFFn;
     }
 
     verifyChecksum(data, expectedCrc) {
@@ -204,6 +530,28 @@ class HMQCECC {
         return actualCrc === expectedCrc;
     }
 
+    /**
+     * Integrity digest of the original file bytes
+     * 'crc64' → 8 bytes, 'sha256' → 32 bytes (WebCrypto)
+     */
+    async calculateDigest(data, method) {
+        if (method === 'sha256') {
+            if (typeof crypto === 'undefined' || !crypto.subtle) {
+                throw new Error('SHA-256 needs WebCrypto (open the page over https or localhost)');
+            }
+            return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+        }
+        
+        const digest = new Uint8Array(8);
+        new DataView(digest.buffer).setBigUint64(0, this.calculateChecksum(data));
+        return digest;
+    }
+
+    async verifyDigest(data, method, expected) {
+        const actual = await this.calculateDigest(data, method);
+        return actual.length === expected.length && actual.every((byte, i) => byte === expected[i]);
+    }
+
     concatenateArrays(...arrays) {
         const totalLength = arrays.reduce((acc, arr) => acc + arr.length, 0);
         const result = new Uint8Array(totalLength);
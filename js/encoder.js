@@ -8,7 +8,13 @@ class HMQCEncoder {
         this.core = new HMQCCore();
         this.compressor = new HMQCCompressor();
         this.ecc = new HMQCECC();
+        this.formatEcc = new HMQCECC(this.core.formatParityLength);
+        this.imageFitter = new HMQCImageFitter();
+        this.fountain = new HMQCFountain();
+        this.animationWriter = new HMQCAnimation();
+        this.animation = null; // Running fountain animation
         this.isProcessing = false;
+        this.partDownloads = []; // Object URLs of split codes
         
         // ডিবাগ: চেক করুন DOM এলিমেন্ট আসে কিনা
         console.log('Initializing HMQC Encoder...');
@@ -28,6 +34,8 @@ class HMQCEncoder {
         const fileInput = document.getElementById('fileInput');
         const encodeBtn = document.getElementById('encodeBtn');
         const matrixSizeInput = document.getElementById('matrixSize');
+        const sizeModeSelect = document.getElementById('sizeMode');
+        const imageFitSelect = document.getElementById('imageFit');
 
         if (!dropZone || !fileInput) {
             console.error('CRITICAL: Drop zone or file input not found!');
@@ -87,13 +95,131 @@ class HMQCEncoder {
         // ম্যাট্রিক্স সাইজ স্লাইডার
         if (matrixSizeInput) {
             matrixSizeInput.addEventListener('input', (e) => {
-                document.getElementById('matrixSizeValue').textContent = e.target.value;
+                document.getElementById('matrixSizeValue').textContent = `${e.target.value}×${e.target.value}`;
             });
+            matrixSizeInput.addEventListener('change', () => this.updateCapacityMeter());
         }
 
+        // অটো সাইজ: ডাটা যতটুকু লাগে তার সবচেয়ে ছোট ম্যাট্রিক্স
+        if (sizeModeSelect) {
+            sizeModeSelect.addEventListener('change', (e) => {
+                const auto = e.target.value === 'auto';
+                matrixSizeInput.disabled = auto;
+                document.getElementById('matrixSizeValue').textContent =
+                    auto ? 'Auto' : `${matrixSizeInput.value}×${matrixSizeInput.value}`;
+                this.updateCapacityMeter();
+            });
+        }
+
+        // ক্যাপাসিটি মিটার: অপশন বদলালে আপডেট
+        ['modulation', 'eccLevel', 'integrity', 'splitMode'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this.updateCapacityMeter());
+        });
+
+        // লসি ইমেজ ফিটিং: বাজেট ইনপুট শুধু "budget" মোডে
+        if (imageFitSelect) {
+            imageFitSelect.addEventListener('change', (e) => {
+                document.getElementById('imageBudgetGroup').style.display =
+                    e.target.value === 'budget' ? 'block' : 'none';
+            });
+        }
+
+        // অ্যানিমেশন মোড: ফ্রেম রেট আর এক্সপোর্ট অপশন
+        const outputModeSelect = document.getElementById('outputMode');
+        if (outputModeSelect) {
+            outputModeSelect.addEventListener('change', (e) => {
+                document.getElementById('animationGroup').style.display =
+                    e.target.value === 'animated' ? 'block' : 'none';
+            });
+            document.getElementById('stopAnimationBtn').addEventListener('click', () => {
+                this.stopAnimation();
+                document.getElementById('animationControls').style.display = 'none';
+            });
+            ['apng', 'frames'].forEach(kind => {
+                document.getElementById(kind === 'apng' ? 'exportApngBtn' : 'exportFramesBtn')
+                    .addEventListener('click', () => this.exportAnimation(kind).catch(error => {
+                        this.showStatus(`Export failed: ${error.message}`, 'error');
+                    }));
+            });
+        }
+
+        this.initDictionaryControls();
+
         console.log('All event listeners attached successfully!');
     }
 
+    /**
+     * Shared dictionary controls: build from samples, load/export JSON
+     */
+    initDictionaryControls() {
+        const select = document.getElementById('sharedDictionary');
+        if (!select) return;
+        
+        this.compressor.loadStoredDictionaries();
+        this.refreshDictionaryList();
+        
+        document.getElementById('dictionarySamples').addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files);
+            if (files.length === 0) return;
+            
+            try {
+                const name = document.getElementById('dictionaryName').value.trim() || files[0].name;
+                const samples = await Promise.all(files.map(async file => new Uint8Array(await file.arrayBuffer())));
+                const dictionary = this.compressor.buildDictionary(name, samples);
+                this.addDictionary(dictionary);
+            } catch (error) {
+                this.showStatus(`Dictionary error: ${error.message}`, 'error');
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('dictionaryJson').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                this.addDictionary(this.compressor.dictionaryFromJSON(await file.text()));
+            } catch (error) {
+                this.showStatus(`Dictionary error: ${error.message}`, 'error');
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('exportDictionaryBtn').addEventListener('click', () => {
+            const dictionary = this.compressor.sharedDictionaries.get(Number(select.value));
+            if (!dictionary) {
+                this.showStatus('Select a dictionary to export first.', 'warning');
+                return;
+            }
+            const blob = new Blob([this.compressor.dictionaryToJSON(dictionary)], { type: 'application/json' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = `${dictionary.name}.hmqc-dict.json`;
+            a.click();
+        });
+    }
+
+    addDictionary(dictionary) {
+        this.compressor.storeDictionaries();
+        this.refreshDictionaryList(dictionary.id);
+        this.showStatus(`✓ Dictionary "${dictionary.name}" ready (#${dictionary.id}, ${this.formatBytes(dictionary.bytes.length)})`, 'success');
+    }
+
+    refreshDictionaryList(selectedId = null) {
+        const select = document.getElementById('sharedDictionary');
+        const current = selectedId !== null ? String(selectedId) : select.value;
+        
+        select.innerHTML = '<option value="">None</option>';
+        this.compressor.sharedDictionaries.forEach(dictionary => {
+            const option = document.createElement('option');
+            option.value = dictionary.id;
+            option.textContent = `${dictionary.name} (#${dictionary.id}, ${this.formatBytes(dictionary.bytes.length)})`;
+            select.appendChild(option);
+        });
+        select.value = this.compressor.sharedDictionaries.has(Number(current)) ? current : '';
+    }
+
     handleFiles(files) {
         if (!files || files.length === 0) {
             console.warn('No files provided to handleFiles');
@@ -121,6 +247,7 @@ class HMQCEncoder {
         
         // ডাটা টাইপ ডিটেক্ট করুন
         this.detectDataType(this.selectedFile);
+        this.updateCapacityMeter();
         
         console.log('File processed successfully:', this.selectedFile);
     }
@@ -174,63 +301,517 @@ class HMQCEncoder {
 
     async encodeFile() {
         this.showProgress(0);
+        // A playing animation shares this.ecc: stop it before the level changes
+        this.stopAnimation();
         
         // Step 1: ফাইল রিড করুন
         console.log('Step 1: Reading file...');
-        const fileData = await this.readFile(this.selectedFile);
+        let fileData = await this.readFile(this.selectedFile);
         this.showProgress(10);
         
+        const eccLevel = document.getElementById('eccLevel').value;
+        const integrity = document.getElementById('integrity').value;
+        const autoSize = document.getElementById('sizeMode').value === 'auto';
+        let matrixSize = autoSize ? this.core.maxSize : parseInt(document.getElementById('matrixSize').value);
+        const colours = parseInt(document.getElementById('modulation').value);
+        this.ecc.setLevel(eccLevel);
+        
+        // ঐচ্ছিক: ছবি বড় হলে ছোট করে আবার এনকোড করুন (লসি)
+        // অটো সাইজে বাজেট সবচেয়ে বড় ম্যাট্রিক্স অনুযায়ী
+        let transformed = false;
+        let fileName = this.selectedFile.name;
+        let mimeType = this.selectedFile.type;
+        if (this.dataType === 'image') {
+            // Budget for the longer of the two re-encoded names (.webp)
+            const records = this.buildRecords(this.replaceExtension(fileName, 'webp'), 'image/webp');
+            const budget = this.getImageBudget(matrixSize, colours, integrity, records);
+            if (budget !== null && fileData.length > budget) {
+                console.log(`Image is ${fileData.length} bytes, re-encoding to fit ${budget} bytes...`);
+                const fitted = await this.imageFitter.fit(this.selectedFile, budget);
+                this.showImageFitPreview(this.selectedFile, fitted);
+                fileData = fitted.data;
+                transformed = true;
+                mimeType = fitted.type;
+                fileName = this.replaceExtension(fileName, fitted.type === 'image/webp' ? 'webp' : 'jpg');
+            }
+        }
+        this.showProgress(20);
+        
         // Step 2: কম্প্রেস করুন
         console.log('Step 2: Compressing data...');
-        const compressed = this.compressor.compress(fileData, this.dataType);
-        console.log(`Compressed ${fileData.length} → ${compressed.length} bytes`);
+        this.compressor.compressionLevel = parseInt(document.getElementById('compression').value);
+        const dictionaryId = document.getElementById('sharedDictionary').value;
+        this.compressor.sharedDictionary = dictionaryId
+            ? this.compressor.sharedDictionaries.get(Number(dictionaryId))
+            : null;
+        const {
+            data: compressed, codec, textDictionary, sharedDictionary, report
+        } = this.compressor.compressBest(fileData, this.dataType);
+        console.log(`Compressed ${fileData.length} → ${compressed.length} bytes with ${report.name}`);
         this.showProgress(40);
         
-        // Step 3: মেটাডাটা যোগ করুন
-        const metadata = this.core.generateMetadata(
+        // Step 3: মেটাডাটা যোগ করুন (মূল ফাইলের চেকসাম সহ)
+        const digest = integrity === 'none'
+            ? new Uint8Array(0)
+            : await this.ecc.calculateDigest(fileData, integrity);
+        const payloadId = this.core.createPayloadId();
+        const buildMetadata = (reference = {}) => this.core.generateMetadata(
             this.dataType,
             fileData.length,
-            compressed.length
+            compressed.length,
+            {
+                integrity, digest, codec, textDictionary, transformed, sharedDictionary,
+                ...reference, // Part or fountain reference
+                id: payloadId,
+                records: this.buildRecords(fileName, mimeType)
+            }
         );
-        const dataWithMeta = this.concatenateArrays(metadata, compressed);
         
-        // Step 4: ECC এপ্লাই করুন
-        console.log('Step 3: Applying ECC...');
-        const encoded = this.ecc.encode(dataWithMeta);
-        this.showProgress(70);
+        if (document.getElementById('outputMode').value === 'animated') {
+            // অ্যানিমেশন: প্রতিটি ফ্রেমে একটি ফাউন্টেন-কোডেড ব্লক
+            this.startAnimation({
+                compressed, buildMetadata, eccLevel, colours, payloadId,
+                matrixSize: autoSize ? this.core.minSize : matrixSize
+            });
+            this.showProgress(100);
+            this.showPreview();
+            this.showStatus(`✓ Playing fountain-coded frames (${this.animation.blocks.length} blocks of ${this.formatBytes(this.animation.blockSize)}). Point the scanner at the screen, or export the animation.`, 'success');
+            return;
+        }
         
-        // Step 5: ম্যাট্রিক্স তৈরি করুন
-        console.log('Step 4: Generating matrix...');
-        const matrixSize = parseInt(document.getElementById('matrixSize').value);
-        const modules = this.core.bytesToColorModules(encoded, matrixSize, matrixSize);
+        // বড় ফাইল হলে কয়েকটি কোডে ভাগ করুন (structured append)
+        const parts = this.splitPayload(compressed, buildMetadata, matrixSize, colours);
+        console.log(`Header + metadata records: ${buildMetadata().length} bytes, ${parts.length} code(s)`);
+        this.showProgress(50);
         
-        // Step 6: ক্যানভাসে রেন্ডার করুন
+        // Step 4-6: প্রতিটি অংশে ECC, ম্যাট্রিক্স আর রেন্ডার
         const canvas = document.getElementById('codeCanvas');
-        this.core.renderToCanvas(canvas, modules, matrixSize);
+        const symbols = [];
+        this.clearPartDownloads();
+        for (const [index, dataWithMeta] of parts.entries()) {
+            console.log(`Part ${index + 1}/${parts.length}: ${dataWithMeta.length} bytes`);
+            const symbol = this.buildSymbol(dataWithMeta, eccLevel, colours, autoSize ? null : matrixSize);
+            
+            if (index === 0) {
+                this.core.renderToCanvas(canvas, symbol.modules, symbol.matrixSize, colours);
+            }
+            if (parts.length > 1) {
+                const partCanvas = index === 0 ? canvas : document.createElement('canvas');
+                if (index > 0) this.core.renderToCanvas(partCanvas, symbol.modules, symbol.matrixSize, colours);
+                await this.addPartDownload(partCanvas, payloadId, index, parts.length);
+            }
+            
+            delete symbol.modules; // 4096² modules per part add up quickly
+            symbols.push(symbol);
+            this.showProgress(50 + Math.round(50 * (index + 1) / parts.length));
+        }
         
-        this.showProgress(100);
+        const used = symbols.reduce((sum, symbol) => sum + symbol.usedBytes, 0);
+        const capacity = symbols.reduce((sum, symbol) => sum + symbol.capacity, 0);
+        const sizes = [...new Set(symbols.map(symbol => `${symbol.matrixSize}×${symbol.matrixSize}`))].join(', ');
+        if (autoSize) {
+            document.getElementById('matrixSizeValue').textContent = `Auto (${sizes})`;
+        }
+        this.showCapacity(used, capacity, symbols.length === 1
+            ? `Uses ${this.formatBytes(used)} of ${this.formatBytes(capacity)} in ${sizes}`
+            : `${symbols.length} codes (${sizes}) use ${this.formatBytes(used)} of ${this.formatBytes(capacity)}`);
         
         // Step 7: প্রিভিউ এবং স্ট্যাটস দেখান
         this.showPreview();
-        this.updateStats(fileData.length, compressed.length, encoded.length, matrixSize);
+        this.updateStats(
+            fileData.length,
+            compressed.length,
+            symbols.reduce((sum, symbol) => sum + symbol.encodedLength, 0),
+            symbols,
+            colours,
+            report
+        );
         
-        this.showStatus('✓ Encoding successful! Download your HMQC code.', 'success');
+        const partNote = symbols.length > 1 ? ` Split into ${symbols.length} codes - download all of them.` : '';
+        this.showStatus(transformed
+            ? `✓ Encoding successful! The image was re-encoded (lossy) to fit - compare the preview above.${partNote}`
+            : `✓ Encoding successful! Download your HMQC code.${partNote}`, 'success');
         console.log('Encoding completed successfully!');
     }
 
+    /**
+     * Header + payload bytes for each code: one code when it fits,
+     * otherwise equal slices of the compressed stream that each fit
+     * `matrixSize` (the largest size in auto mode)
+     */
+    splitPayload(compressed, buildMetadata, matrixSize, colours) {
+        const capacity = this.core.getCapacityForSize(matrixSize, colours);
+        const available = Math.floor(capacity / this.ecc.codewordLength) * this.ecc.messageLength;
+        const metadata = buildMetadata();
+        
+        if (metadata.length + compressed.length <= available) {
+            return [this.concatenateArrays(metadata, compressed)];
+        }
+        if (document.getElementById('splitMode').value !== 'split') {
+            const needed = metadata.length + compressed.length;
+            this.showCapacity(needed, available, `Needs ${this.formatBytes(needed)}, a ${matrixSize}×${matrixSize} code holds ${this.formatBytes(available)}`);
+            throw new Error(`Data needs ${needed} bytes but a ${matrixSize}×${matrixSize} matrix with ${colours} colours holds ${available} at ECC level ${this.ecc.level}. Choose a larger matrix, more colours, a lower ECC level or allow splitting into multiple codes.`);
+        }
+        
+        const headerLength = buildMetadata({ part: { index: 0, total: 1, offset: 0, length: 0 } }).length;
+        const perPart = available - headerLength;
+        if (perPart <= 0) {
+            throw new Error(`The ${headerLength}-byte header alone fills a ${matrixSize}×${matrixSize} code. Choose a larger matrix or fewer tags.`);
+        }
+        
+        const total = Math.ceil(compressed.length / perPart);
+        if (total > this.core.maxParts) {
+            throw new Error(`Data would need ${total} codes; at most ${this.core.maxParts} are supported.`);
+        }
+        
+        // Equal slices, so auto size gives every code the same matrix
+        const length = Math.ceil(compressed.length / total);
+        return Array.from({ length: total }, (_, index) => {
+            const slice = compressed.subarray(index * length, (index + 1) * length);
+            return this.concatenateArrays(
+                buildMetadata({ part: { index, total, offset: index * length, length: slice.length } }),
+                slice
+            );
+        });
+    }
+
+    /**
+     * Endless animation: frame n carries fountain symbol n, so a scanner
+     * can start at any frame and miss some. The block size fills one
+     * frame after the header.
+     */
+    startAnimation({ compressed, buildMetadata, eccLevel, colours, matrixSize, payloadId }) {
+        const capacity = this.core.getCapacityForSize(matrixSize, colours);
+        const available = Math.floor(capacity / this.ecc.codewordLength) * this.ecc.messageLength;
+        const headerLength = buildMetadata({ fountain: { seed: 0, blockSize: 0 } }).length;
+        const blockSize = Math.min(0xFFFF, available - headerLength);
+        if (blockSize <= 0) {
+            throw new Error(`The ${headerLength}-byte header alone fills a ${matrixSize}×${matrixSize} frame. Choose a larger matrix or fewer tags.`);
+        }
+        
+        const fps = Math.max(1, parseFloat(document.getElementById('frameRate').value) || 8);
+        const animation = {
+            blocks: this.fountain.split(compressed, blockSize),
+            blockSize, buildMetadata, eccLevel, colours, matrixSize, payloadId, fps,
+            seed: 0,
+            timer: null
+        };
+        this.animation = animation;
+        console.log(`Fountain animation: ${animation.blocks.length} blocks of ${blockSize} bytes, ${matrixSize}×${matrixSize} frames at ${fps} fps`);
+        
+        const canvas = document.getElementById('codeCanvas');
+        const showNext = () => {
+            if (this.animation !== animation) return;
+            const started = performance.now();
+            this.renderFountainFrame(canvas, animation, animation.seed++);
+            // Frames that take longer than 1/fps to build simply play slower
+            animation.timer = setTimeout(showNext, Math.max(0, 1000 / fps - (performance.now() - started)));
+        };
+        showNext();
+        
+        document.getElementById('statMatrix').textContent = `${matrixSize}×${matrixSize} frames`;
+    }
+
+    stopAnimation() {
+        if (!this.animation) return;
+        clearTimeout(this.animation.timer);
+        this.animation = null;
+    }
+
+    renderFountainFrame(canvas, animation, seed) {
+        const { blocks, blockSize, buildMetadata, eccLevel, colours, matrixSize } = animation;
+        // The capacity meter may have switched the shared level since the last frame
+        this.ecc.setLevel(eccLevel);
+        const dataWithMeta = this.concatenateArrays(
+            buildMetadata({ fountain: { seed, blockSize } }),
+            this.fountain.encodeSymbol(blocks, seed)
+        );
+        const symbol = this.buildSymbol(dataWithMeta, eccLevel, colours, matrixSize);
+        this.core.renderToCanvas(canvas, symbol.modules, matrixSize, colours);
+    }
+
+    /**
+     * Offline copy of the animation: a looping APNG or one PNG per frame.
+     * The default frame count covers the usual LT overhead.
+     */
+    async exportAnimation(kind) {
+        const animation = this.animation;
+        if (!animation) {
+            this.showStatus('Start an animation first.', 'warning');
+            return;
+        }
+        
+        const requested = parseInt(document.getElementById('exportFrames').value);
+        const count = requested > 0 ? requested : Math.ceil(animation.blocks.length * 1.5) + 4;
+        const canvas = document.createElement('canvas');
+        const baseName = `HMQC-${animation.payloadId.toString(16).padStart(8, '0')}`;
+        const frames = [];
+        
+        for (let seed = 0; seed < count; seed++) {
+            this.renderFountainFrame(canvas, animation, seed);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            frames.push(new Uint8Array(await blob.arrayBuffer()));
+            this.showProgress(Math.round(100 * (seed + 1) / count));
+        }
+        
+        if (kind === 'apng') {
+            const apng = this.animationWriter.createApng(frames, 1000 / animation.fps);
+            this.downloadBlob(new Blob([apng], { type: 'image/apng' }), `${baseName}.png`);
+        } else {
+            await this.saveFrameFolder(frames, baseName);
+        }
+        this.showStatus(`✓ Exported ${count} frames (${animation.blocks.length} are enough without losses).`, 'success');
+    }
+
+    /**
+     * Frames into a chosen folder where the browser allows it, otherwise
+     * as individual downloads
+     */
+    async saveFrameFolder(frames, baseName) {
+        const name = index => `${baseName}-frame-${String(index + 1).padStart(4, '0')}.png`;
+        
+        if (window.showDirectoryPicker) {
+            const folder = await window.showDirectoryPicker({ mode: 'readwrite' });
+            for (const [index, frame] of frames.entries()) {
+                const handle = await folder.getFileHandle(name(index), { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(frame);
+                await writable.close();
+            }
+            return;
+        }
+        
+        for (const [index, frame] of frames.entries()) {
+            this.downloadBlob(new Blob([frame], { type: 'image/png' }), name(index));
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+    }
+
+    downloadBlob(blob, name) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * ECC, placement, mask and format field for one code.
+     * Without a fixed size the smallest matrix that fits is used.
+     */
+    buildSymbol(dataWithMeta, eccLevel, colours, fixedSize) {
+        const encoded = this.ecc.encode(dataWithMeta);
+        const blockCount = encoded.length / this.ecc.codewordLength;
+        
+        // ইন্টারলিভ + 2D স্ক্যাটার: দাগ বা ভাঁজ অনেক ব্লকে ছড়িয়ে যায়
+        const interleaved = this.ecc.interleave(encoded);
+        const matrixSize = fixedSize || this.core.calculateMatrixSize(interleaved.length, colours);
+        const capacity = matrixSize ? this.core.getCapacityForSize(matrixSize, colours) : 0;
+        if (!matrixSize || interleaved.length > capacity) {
+            throw new Error(`Data needs ${interleaved.length} bytes but the ${colours}-colour matrix holds ${capacity}. Choose a larger matrix, more colours or a lower ECC level.`);
+        }
+        
+        const layout = this.core.getLayout(matrixSize);
+        const placed = this.core.scatterBytes(interleaved, capacity);
+        const modules = this.core.bytesToModules(placed, layout, colours);
+        
+        // মাস্ক: বড় একরঙা এলাকা আর ফাইন্ডারের মতো নকশা এড়াতে
+        const { mask, penalties } = this.core.chooseMask(modules, layout, colours);
+        this.core.applyMask(modules, layout, colours, mask);
+        console.log(`${matrixSize}×${matrixSize}, mask ${mask} chosen, penalties: ${penalties.join(' ')}`);
+        
+        this.core.writeFormatField(
+            modules,
+            this.buildFormatField(eccLevel, colours, mask, blockCount, dataWithMeta.length),
+            matrixSize
+        );
+        
+        return { modules, matrixSize, encodedLength: encoded.length, usedBytes: interleaved.length, capacity };
+    }
+
+    /**
+     * PNG of one part, listed under the preview with its own download link
+     */
+    async addPartDownload(canvas, payloadId, index, total) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const url = URL.createObjectURL(blob);
+        const name = `HMQC-${payloadId.toString(16).padStart(8, '0')}-${index + 1}of${total}.png`;
+        this.partDownloads.push({ url, name });
+        
+        const list = document.getElementById('partList');
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.className = 'part-link';
+        link.textContent = `Part ${index + 1}/${total}`;
+        list.appendChild(link);
+        list.style.display = 'flex';
+    }
+
+    clearPartDownloads() {
+        (this.partDownloads || []).forEach(({ url }) => URL.revokeObjectURL(url));
+        this.partDownloads = [];
+        
+        const list = document.getElementById('partList');
+        if (list) {
+            list.innerHTML = '';
+            list.style.display = 'none';
+        }
+    }
+
+    /**
+     * Format field bytes: packed info + strong RS parity
+     */
+    buildFormatField(eccLevel, colours, mask, blockCount, payloadLength) {
+        const info = this.core.packFormatInfo({
+            eccLevel: this.ecc.levels[eccLevel].id,
+            modulation: this.core.modulations[colours].id,
+            mask,
+            blockCount,
+            payloadLength
+        });
+        return this.concatenateArrays(info, this.formatEcc.rsEncodeBlock(info));
+    }
+
+    /**
+     * Largest image file (bytes) the lossy fitting mode allows, or null when off
+     * "matrix" fills the selected matrix at the selected palette and ECC level,
+     * minus the header.
+     */
+    getImageBudget(matrixSize, colours, integrity, records) {
+        const mode = document.getElementById('imageFit').value;
+        
+        if (mode === 'budget') {
+            const kilobytes = parseFloat(document.getElementById('imageBudget').value);
+            if (!(kilobytes > 0)) {
+                throw new Error('Enter a byte budget greater than 0 KB for image fitting.');
+            }
+            return Math.floor(kilobytes * 1024);
+        }
+        if (mode === 'matrix') {
+            return this.getPayloadCapacity(matrixSize, colours, integrity, records);
+        }
+        return null;
+    }
+
+    /**
+     * File bytes a matrix holds at the current ECC level, after the header
+     * that buildMetadata will put in front of them
+     */
+    getPayloadCapacity(matrixSize, colours, integrity, records = null) {
+        const capacity = this.core.getCapacityForSize(matrixSize, colours);
+        const payload = Math.floor(capacity / this.ecc.codewordLength) * this.ecc.messageLength;
+        return payload - this.getMetadataLength(integrity, records);
+    }
+
+    /**
+     * Fixed header, digest, shared dictionary reference (if one is selected)
+     * and metadata records, measured on a header built the same way
+     */
+    getMetadataLength(integrity, records) {
+        const sharedDictionary = document.getElementById('sharedDictionary').value ? { id: 0, hash: 0 } : null;
+        return this.core.generateMetadata(this.dataType, 0, 0, { integrity, sharedDictionary, records }).length;
+    }
+
+    buildRecords(filename, mimeType) {
+        return {
+            filename,
+            mimeType,
+            modified: this.selectedFile.lastModified,
+            tags: this.readTags()
+        };
+    }
+
+    /**
+     * Live estimate from the selected file and options. The file size is
+     * used uncompressed, so the real code is usually smaller.
+     */
+    updateCapacityMeter() {
+        if (!document.getElementById('capacityFill')) return;
+        
+        const colours = parseInt(document.getElementById('modulation').value);
+        const integrity = document.getElementById('integrity').value;
+        const auto = document.getElementById('sizeMode').value === 'auto';
+        const matrixSize = auto ? this.core.maxSize : parseInt(document.getElementById('matrixSize').value);
+        this.ecc.setLevel(document.getElementById('eccLevel').value);
+        
+        const records = this.selectedFile ? this.buildRecords(this.selectedFile.name, this.selectedFile.type) : null;
+        const available = this.getPayloadCapacity(matrixSize, colours, integrity, records);
+        if (!this.selectedFile) {
+            this.showCapacity(0, available, `${auto ? 'Up to ' : ''}${this.formatBytes(available)} per code at ${matrixSize}×${matrixSize}, ${colours} colours, ECC ${this.ecc.level}`);
+            return;
+        }
+        
+        const needed = this.selectedFile.size;
+        if (auto && needed <= available) {
+            const overhead = this.getMetadataLength(integrity, records);
+            const blocks = Math.ceil((needed + overhead) / this.ecc.messageLength);
+            const size = this.core.calculateMatrixSize(blocks * this.ecc.codewordLength, colours);
+            const fits = this.getPayloadCapacity(size, colours, integrity, records);
+            this.showCapacity(needed, fits, `About ${size}×${size} for ${this.formatBytes(needed)} before compression (holds ${this.formatBytes(fits)})`);
+            return;
+        }
+        
+        let note = '';
+        if (needed > available) {
+            note = document.getElementById('splitMode').value === 'split'
+                ? ` - about ${Math.ceil(needed / available)} codes`
+                : ' - too big unless it compresses well';
+        }
+        this.showCapacity(needed, available, `${this.formatBytes(needed)} of ${this.formatBytes(available)} at ${matrixSize}×${matrixSize} before compression${note}`);
+    }
+
+    showCapacity(used, capacity, text) {
+        const fill = document.getElementById('capacityFill');
+        if (!fill) return;
+        
+        const percent = capacity > 0 ? used / capacity * 100 : 100;
+        fill.style.width = `${Math.min(100, percent)}%`;
+        fill.classList.toggle('over', percent > 100);
+        document.getElementById('capacityText').textContent =
+            `${text} (${Math.round(percent)}%)`;
+    }
+
+    /**
+     * Side-by-side original vs re-encoded image
+     */
+    showImageFitPreview(file, fitted) {
+        const originalUrl = URL.createObjectURL(file);
+        const fittedUrl = URL.createObjectURL(fitted.blob);
+        const format = fitted.type.split('/')[1].toUpperCase();
+        
+        document.getElementById('imageFitOriginal').src = originalUrl;
+        document.getElementById('imageFitOriginalInfo').textContent =
+            `Original: ${fitted.originalWidth}×${fitted.originalHeight}, ${this.formatBytes(file.size)}`;
+        document.getElementById('imageFitResult').src = fittedUrl;
+        document.getElementById('imageFitResultInfo').textContent =
+            `Encoded: ${fitted.width}×${fitted.height}, ${format} q=${Math.round(fitted.quality * 100)}, ${this.formatBytes(fitted.data.length)}`;
+        
+        document.getElementById('imageFitPreview').style.display = 'block';
+    }
+
+    /**
+     * Free-form tags from the comma-separated input
+     */
+    readTags() {
+        const input = document.getElementById('tags');
+        if (!input) return [];
+        return input.value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    }
+
+    replaceExtension(name, extension) {
+        const dot = name.lastIndexOf('.');
+        return `${dot > 0 ? name.slice(0, dot) : name}.${extension}`;
+    }
+
     readFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             
             reader.onload = (e) => {
                 console.log('File read complete');
-                const result = e.target.result;
-                if (typeof result === 'string') {
-                    const encoder = new TextEncoder();
-                    resolve(encoder.encode(result));
-                } else {
-                    resolve(new Uint8Array(result));
-                }
+                resolve(new Uint8Array(e.target.result));
             };
             
             reader.onerror = () => {
@@ -238,11 +819,8 @@ class HMQCEncoder {
                 reject(reader.error);
             };
             
-            if (this.dataType === 'text') {
-                reader.readAsText(file);
-            } else {
-                reader.readAsArrayBuffer(file);
-            }
+            // টেক্সটও বাইট হিসেবে পড়ুন, যাতে ডিকোড করা ফাইল হুবহু একই থাকে
+            reader.readAsArrayBuffer(file);
         });
     }
 
@@ -259,30 +837,54 @@ class HMQCEncoder {
 
     showPreview() {
         document.querySelector('.preview-area').style.display = 'block';
+        document.getElementById('animationControls').style.display = this.animation ? 'flex' : 'none';
+        
+        const existing = document.getElementById('downloadBtn');
+        if (existing) existing.remove();
+        if (this.animation) return; // Animations are exported with their own buttons
         
         const canvas = document.getElementById('codeCanvas');
         const downloadBtn = document.createElement('a');
-        downloadBtn.href = canvas.toDataURL('image/png');
-        downloadBtn.download = `HMQC-${Date.now()}.png`;
         downloadBtn.className = 'btn';
-        downloadBtn.textContent = '💾 Download HMQC Code';
         downloadBtn.style.marginTop = '20px';
         
-        const existingBtn = document.getElementById('downloadBtn');
-        if (existingBtn) existingBtn.remove();
+        if (this.partDownloads.length > 1) {
+            // একসাথে সব অংশ ডাউনলোড (ব্রাউজার অনুমতি চাইতে পারে)
+            downloadBtn.href = '#';
+            downloadBtn.textContent = `💾 Download All ${this.partDownloads.length} Codes`;
+            downloadBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.partDownloads.forEach(({ url, name }, index) => {
+                    setTimeout(() => {
+                        const a = document.createElement('a');
+                        a.href = url;
+                        a.download = name;
+                        a.click();
+                    }, index * 300);
+                });
+            });
+        } else {
+            downloadBtn.href = canvas.toDataURL('image/png');
+            downloadBtn.download = `HMQC-${Date.now()}.png`;
+            downloadBtn.textContent = '💾 Download HMQC Code';
+        }
         
         downloadBtn.id = 'downloadBtn';
         document.querySelector('.preview-area').appendChild(downloadBtn);
     }
 
-    updateStats(original, compressed, encoded, matrixSize) {
+    updateStats(original, compressed, encoded, symbols, colours, codecReport) {
+        const modules = symbols.reduce((sum, symbol) => sum + symbol.matrixSize * symbol.matrixSize, 0);
+        const largest = Math.max(...symbols.map(symbol => symbol.matrixSize));
         const stats = {
             original: this.formatBytes(original),
             compressed: this.formatBytes(compressed),
             ratio: ((1 - compressed / original) * 100).toFixed(1),
-            ecc: this.formatBytes(encoded - compressed),
-            matrix: `${matrixSize}×${matrixSize}`,
-            modules: (matrixSize * matrixSize).toLocaleString()
+            ecc: `${this.formatBytes(encoded - compressed)} (${this.ecc.level})`,
+            matrix: symbols.length === 1
+                ? `${largest}×${largest}`
+                : `${symbols.length} × ${largest}×${largest}`,
+            modules: `${modules.toLocaleString()} (${colours} colours)`
         };
         
         document.getElementById('statOriginal').textContent = stats.original;
@@ -291,6 +893,11 @@ class HMQCEncoder {
         document.getElementById('statECC').textContent = stats.ecc;
         document.getElementById('statMatrix').textContent = stats.matrix;
         document.getElementById('statModules').textContent = stats.modules;
+        document.getElementById('statCodec').textContent = codecReport.name;
+        document.getElementById('statCodecReason').textContent = codecReport.reason;
+        document.getElementById('statCodec').parentElement.title = codecReport.trials
+            .map(trial => `${trial.name}: ${this.formatBytes(trial.size)}`)
+            .join('\n');
         
         document.querySelector('.stats').style.display = 'grid';
     }
@@ -0,0 +1,189 @@
+/**
+ * HMQC Fountain Code - rateless LT coding for animated frame sequences
+ * Any ~k(1 + ε) distinct frames rebuild a payload of k blocks, in any order.
+ */
+
+class HMQCFountain {
+    constructor() {
+        // Robust soliton parameters (Luby): c tunes the spike, delta the failure bound
+        this.c = 0.03;
+        this.delta = 0.05;
+        this.distributionCache = new Map(); // k → cumulative degree distribution
+    }
+
+    /**
+     * Cut data into k equal blocks (the last one zero padded)
+     */
+    split(data, blockSize) {
+        const count = Math.max(1, Math.ceil(data.length / blockSize));
+        const blocks = [];
+
+        for (let i = 0; i < count; i++) {
+            const block = new Uint8Array(blockSize);
+            block.set(data.subarray(i * blockSize, (i + 1) * blockSize));
+            blocks.push(block);
+        }
+        return blocks;
+    }
+
+    /**
+     * Encoded symbol for a seed: XOR of the source blocks it names.
+     * Seeds below k are systematic and carry source block `seed` as-is,
+     * so a clean run needs only k frames.
+     */
+    encodeSymbol(blocks, seed) {
+        const symbol = new Uint8Array(blocks[0].length);
+        this.chooseBlocks(seed, blocks.length).forEach(index => {
+            const block = blocks[index];
+            for (let i = 0; i < symbol.length; i++) symbol[i] ^= block[i];
+        });
+        return symbol;
+    }
+
+    /**
+     * Source block indices of a seed; the encoder and decoder derive the
+     * same list from the seed alone
+     */
+    chooseBlocks(seed, k) {
+        if (seed < k) return [seed];
+
+        const random = this.createRandom(seed);
+        const cdf = this.getDistribution(k);
+        const draw = random();
+        let degree = 1;
+        while (degree < k && cdf[degree - 1] < draw) degree++;
+
+        const chosen = new Set();
+        while (chosen.size < degree) {
+            chosen.add(Math.floor(random() * k));
+        }
+        return Array.from(chosen);
+    }
+
+    /**
+     * Cumulative robust soliton distribution over degrees 1..k
+     */
+    getDistribution(k) {
+        if (this.distributionCache.has(k)) return this.distributionCache.get(k);
+
+        const R = this.c * Math.log(k / this.delta) * Math.sqrt(k);
+        const spike = Math.max(1, Math.min(k, Math.round(k / R)));
+        const weights = new Float64Array(k);
+
+        for (let d = 1; d <= k; d++) {
+            const ideal = d === 1 ? 1 / k : 1 / (d * (d - 1));
+            let robust = 0;
+            if (d < spike) robust = R / (d * k);
+            else if (d === spike) robust = R * Math.log(R / this.delta) / k;
+            weights[d - 1] = ideal + Math.max(0, robust);
+        }
+
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        const cdf = new Float64Array(k);
+        let sum = 0;
+        for (let d = 0; d < k; d++) {
+            sum += weights[d] / total;
+            cdf[d] = sum;
+        }
+        cdf[k - 1] = 1;
+
+        this.distributionCache.set(k, cdf);
+        return cdf;
+    }
+
+    /**
+     * mulberry32: small, fast and identical in every JS engine
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Peeling decoder state for k blocks of blockSize bytes
+     */
+    createDecoder(k, blockSize) {
+        return {
+            k,
+            blockSize,
+            blocks: new Array(k).fill(null),
+            recovered: 0,
+            pending: [], // { indices: Set, data } still covering 2+ unknown blocks
+            seeds: new Set()
+        };
+    }
+
+    /**
+     * Add one received symbol; returns true once every block is known.
+     * Duplicate seeds (a frame seen twice) are ignored.
+     */
+    addSymbol(decoder, seed, data) {
+        if (decoder.seeds.has(seed) || decoder.recovered === decoder.k) {
+            return decoder.recovered === decoder.k;
+        }
+        decoder.seeds.add(seed);
+
+        const symbol = { indices: new Set(this.chooseBlocks(seed, decoder.k)), data: data.slice(0, decoder.blockSize) };
+        this.reduce(decoder, symbol);
+
+        // Each solved block can turn other pending symbols into degree one
+        const queue = [symbol];
+        while (queue.length > 0) {
+            const current = queue.pop();
+            if (current.indices.size !== 1) {
+                if (current.indices.size > 1 && !decoder.pending.includes(current)) decoder.pending.push(current);
+                continue;
+            }
+
+            const [index] = current.indices;
+            if (decoder.blocks[index] === null) {
+                decoder.blocks[index] = current.data;
+                decoder.recovered++;
+            }
+
+            decoder.pending = decoder.pending.filter(other => {
+                if (!other.indices.has(index)) return true;
+                this.reduce(decoder, other);
+                if (other.indices.size <= 1) {
+                    queue.push(other);
+                    return false;
+                }
+                return true;
+            });
+        }
+
+        return decoder.recovered === decoder.k;
+    }
+
+    /**
+     * XOR known blocks out of a symbol
+     */
+    reduce(decoder, symbol) {
+        symbol.indices.forEach(index => {
+            const block = decoder.blocks[index];
+            if (block === null) return;
+            for (let i = 0; i < symbol.data.length; i++) symbol.data[i] ^= block[i];
+            symbol.indices.delete(index);
+        });
+    }
+
+    /**
+     * Recovered payload, trimmed to its original length
+     */
+    assemble(decoder, length) {
+        const data = new Uint8Array(decoder.k * decoder.blockSize);
+        decoder.blocks.forEach((block, i) => data.set(block, i * decoder.blockSize));
+        return data.slice(0, length);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HMQCFountain;
+}
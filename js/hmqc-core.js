@@ -3,25 +3,129 @@
  * Advanced 2D Optical Code System
  */
 
+/**
+ * Invalid or unsupported HMQC header (code: bad-magic, unsupported-version,
+ * unsupported-feature, truncated, invalid-field)
+ */
+class HMQCFormatError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'HMQCFormatError';
+        this.code = code;
+    }
+}
+
 class HMQCCore {
     constructor() {
-        this.version = '3.0';
+        this.version = '3.1';
+        this.magic = 0x484D5143; // "HMQC"
+        
+        // Header format version: byte 4 major, byte 5 minor. Any 3.x decoder
+        // reads any 3.x code: minor versions only add TLV record tags, which
+        // older decoders skip. A new major means an incompatible layout.
+        this.formatMajor = 3;
+        this.formatMinor = 1;
         this.moduleSize = 4; // pixels per module
+        this.quietZone = 4; // dark modules around the rendered code
+        this.maxCanvasSide = 16384; // Chrome's canvas area limit is 16384² pixels
+        this.finderScanRows = 512; // rows in the first, coarse finder scan
         this.maxSize = 4096; // max matrix dimension
+        this.minSize = 256;
+        this.sizeStep = 64;
+        this.dataModuleCounts = new Map(); // matrix size → data modules
         this.colors = {
             primary: [0, 255, 136],   // #00ff88
             secondary: [0, 170, 255], // #00aaff
             marker: [255, 255, 255],  // White markers
             background: [10, 10, 10]  // Dark background
         };
+        
+        // Layout: module kinds in the layout map (0 = free for data)
+        this.moduleKinds = {
+            data: 0,
+            finder: 1,
+            separator: 2,
+            timing: 3,
+            format: 4,
+            alignment: 5,
+            orientation: 6
+        };
+        this.layoutCache = null;
+        
+        // Alignment grid: about one 5×5 pattern every alignmentSpacing modules,
+        // running from finder centre to finder centre
+        this.alignmentSpacing = 48;
+        
+        // Orientation mark: the four finders look alike, so this block below
+        // the top-left format copy is what tells rotations and mirror images
+        // apart. Top-left module of the 5×5 pattern.
+        this.orientationMark = { x: 8, y: 16 };
+        
+        // Palette modulation: colours per data module. Fewer colours are
+        // further apart, so they survive print, JPEG and camera noise better.
+        this.modulations = {
+            2: { id: 1, bits: 1, palette: [[0, 0, 0], [255, 255, 255]] },
+            // Tetrahedron in the RGB cube (CMY + black: print friendly)
+            4: { id: 2, bits: 2, palette: [[0, 0, 0], [0, 255, 255], [255, 0, 255], [255, 255, 0]] },
+            // Cube corners
+            8: { id: 3, bits: 3, palette: this.createCubePalette([0, 255]) },
+            // Cube corners plus an inner cube, spaced for equal minimum distance
+            16: { id: 4, bits: 4, palette: [...this.createCubePalette([0, 255]), ...this.createCubePalette([68, 187])] }
+        };
+        
+        // Data masks: 0 = none, 1-8 = QR-style patterns; the encoder keeps
+        // the one with the lowest penalty and records it in the format field
+        this.maskCount = 9;
+        
+        // Format field: RS-protected, 1 bit per module, stored twice
+        this.formatVersion = 2; // 2: palette modulation id in byte 2
+        this.formatDataLength = 12;
+        this.formatParityLength = 14;
+        
+        // Integrity digest stored right after the fixed header
+        this.headerLength = 32;
+        this.integrityMethods = {
+            none: { id: 0, length: 0 },
+            crc64: { id: 1, length: 8 },
+            sha256: { id: 2, length: 32 }
+        };
+        
+        // Header byte 10 flags
+        this.headerFlags = {
+            transformed: 0x01, // Lossy re-encoded by the encoder, not the original bytes
+            sharedDictionary: 0x02, // Dictionary reference (u16 id, u32 hash) follows the digest
+            records: 0x04, // TLV metadata section follows
+            part: 0x08, // Structured append: part reference follows the dictionary reference
+            fountain: 0x10 // Animated frame: fountain reference follows the part reference
+        };
+        this.knownFlags = 0x1F; // Other bits would change the layout: refuse them
+        this.dictionaryRefLength = 6;
+        // Part reference: u16 index, u16 total, u32 offset and u32 length of
+        // this part's slice of the compressed stream. All parts share the
+        // header ID (offset 24), sizes and digest of the whole file.
+        this.partRefLength = 12;
+        this.maxParts = 0xFFFF;
+        // Fountain reference: u32 seed and u16 block size of the LT-coded
+        // symbol after the header; the payload holds ceil(compressedSize /
+        // blockSize) source blocks.
+        this.fountainRefLength = 6;
+        
+        // TLV record tags: [tag u8][length u16][value]. Decoders skip tags they
+        // don't know, so new ones can be added without breaking old readers.
+        this.recordTags = {
+            filename: 1, // UTF-8
+            mimeType: 2, // UTF-8
+            modified: 3, // u64 milliseconds since epoch
+            tag: 4 // UTF-8, one record per free-form tag
+        };
     }
 
     /**
-     * Generate alignment markers (4 corners)
+     * Generate finder markers (4 corners), sized to the 7×7 pattern
      */
     generateMarkers(size) {
         const markers = [];
-        const markerSize = 20;
+        const markerSize = this.createMarkerPattern().length;
         
         // 4 corner positions
         const positions = [
@@ -39,13 +143,77 @@ class HMQCCore {
         return markers;
     }
 
+    createCubePalette([low, high]) {
+        const palette = [];
+        for (let i = 0; i < 8; i++) {
+            palette.push([i & 4 ? high : low, i & 2 ? high : low, i & 1 ? high : low]);
+        }
+        return palette;
+    }
+
+    modulationFromId(id) {
+        const colours = Object.keys(this.modulations).find(key => this.modulations[key].id === id);
+        return colours ? Number(colours) : null;
+    }
+
+    /**
+     * Data bytes a layout holds at the given palette size
+     */
+    getCapacity(layout, colours) {
+        return Math.floor(layout.dataIndices.length * this.modulations[colours].bits / 8);
+    }
+
+    /**
+     * Small alignment pattern (light ring, dark ring, light centre)
+     */
+    createAlignmentPattern() {
+        return [
+            [1,1,1,1,1],
+            [1,0,0,0,1],
+            [1,0,1,0,1],
+            [1,0,0,0,1],
+            [1,1,1,1,1]
+        ];
+    }
+
+    /**
+     * Orientation mark (solid light 3×3 in a dark ring); it sits off every
+     * symmetry axis of the square, so only one reading of the code puts it
+     * where it belongs
+     */
+    createOrientationPattern() {
+        return [
+            [0,0,0,0,0],
+            [0,1,1,1,0],
+            [0,1,1,1,0],
+            [0,1,1,1,0],
+            [0,0,0,0,0]
+        ];
+    }
+
+    /**
+     * Module coordinates of the alignment grid lines (same for x and y)
+     * The first and last lines pass through the finder centres.
+     */
+    getAlignmentAxis(matrixSize) {
+        const first = 3;
+        const last = matrixSize - 4;
+        const intervals = Math.max(1, Math.round((last - first) / this.alignmentSpacing));
+        const axis = [];
+        
+        for (let k = 0; k <= intervals; k++) {
+            axis.push(Math.round(first + k * (last - first) / intervals));
+        }
+        return axis;
+    }
+
     createMarkerPattern() {
-        // QR-like finder pattern
+        // QR-like finder pattern: 1:1:3:1:1 across the centre in every direction
         return [
             [1,1,1,1,1,1,1],
             [1,0,0,0,0,0,1],
             [1,0,1,1,1,0,1],
-            [1,0,1,0,1,0,1],
+            [1,0,1,1,1,0,1],
             [1,0,1,1,1,0,1],
             [1,0,0,0,0,0,1],
             [1,1,1,1,1,1,1]
@@ -53,176 +221,1100 @@ class HMQCCore {
     }
 
     /**
-     * Create dynamic matrix based on data size
+     * Smallest matrix size (multiple of sizeStep) whose data area holds
+     * `byteLength` bytes with the given palette, or null if even maxSize
+     * is too small. Capacity grows with size, so a binary search is enough.
      */
-    calculateMatrixSize(dataLength) {
-        const bitsPerModule = 32; // RGBA
-        const modulesNeeded = Math.ceil(dataLength * 8 / bitsPerModule);
-        const gridSize = Math.ceil(Math.sqrt(modulesNeeded)) + 50; // Extra space for markers
+    calculateMatrixSize(byteLength, colours) {
+        const steps = (this.maxSize - this.minSize) / this.sizeStep;
+        const capacityAt = step => this.getCapacityForSize(this.minSize + step * this.sizeStep, colours);
         
-        return Math.min(
-            Math.max(gridSize, 256), // Minimum 256x256
-            this.maxSize
-        );
+        if (capacityAt(steps) < byteLength) return null;
+        
+        let low = 0;
+        let high = steps;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (capacityAt(mid) >= byteLength) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return this.minSize + low * this.sizeStep;
     }
 
     /**
-     * Convert byte data to color modules
+     * Data-area bytes of a matrix size; data module counts are cached so
+     * the capacity meter does not rebuild layouts
      */
-    bytesToColorModules(bytes, width, height) {
-        const modules = [];
-        const totalModules = width * height;
+    getCapacityForSize(matrixSize, colours) {
+        if (!this.dataModuleCounts.has(matrixSize)) {
+            const layout = this.getLayout(matrixSize);
+            this.dataModuleCounts.set(matrixSize, layout.dataIndices.length);
+        }
+        return Math.floor(this.dataModuleCounts.get(matrixSize) * this.modulations[colours].bits / 8);
+    }
+
+    /**
+     * Format field positions: two 8-row blocks below the top finders' separators
+     * Returns one array of module indices per copy, in bit order.
+     */
+    getFormatModules(matrixSize) {
+        const columns = this.formatDataLength + this.formatParityLength; // 8 bits per column
+        const top = 8;
         
-        for (let i = 0; i < totalModules; i++) {
-            const byteIndex = i * 4;
-            
-            let r, g, b, a;
-            
-            if (byteIndex < bytes.length) {
-                r = bytes[byteIndex] || 0;
-                g = bytes[byteIndex + 1] || 0;
-                b = bytes[byteIndex + 2] || 0;
-                a = bytes[byteIndex + 3] || 255;
-            } else {
-                // Padding with pattern
-                r = (i * 7) % 256;
-                g = (i * 13) % 256;
-                b = (i * 19) % 256;
-                a = 255;
+        return [8, matrixSize - 8 - columns].map(left => {
+            const indices = [];
+            for (let dy = 0; dy < 8; dy++) {
+                for (let dx = 0; dx < columns; dx++) {
+                    indices.push((top + dy) * matrixSize + left + dx);
+                }
             }
-            
-            modules.push({ r, g, b, a });
+            return indices;
+        });
+    }
+
+    /**
+     * Layout map shared by encoder and decoder
+     * kinds: module kind per index, values: 1 = light / 0 = dark for
+     * function modules, dataIndices: free modules in placement order.
+     */
+    getLayout(matrixSize) {
+        if (!this.layoutCache || this.layoutCache.size !== matrixSize) {
+            this.layoutCache = this.buildLayout(matrixSize);
+        }
+        return this.layoutCache;
+    }
+
+    buildLayout(matrixSize) {
+        const kinds = new Uint8Array(matrixSize * matrixSize);
+        const values = new Uint8Array(matrixSize * matrixSize);
+        const set = (x, y, kind, value) => {
+            if (x < 0 || y < 0 || x >= matrixSize || y >= matrixSize) return;
+            kinds[y * matrixSize + x] = kind;
+            values[y * matrixSize + x] = value;
+        };
+        
+        // Finders with a one-module dark separator on their inner sides
+        this.generateMarkers(matrixSize).forEach(marker => {
+            for (let dy = -1; dy <= marker.size; dy++) {
+                for (let dx = -1; dx <= marker.size; dx++) {
+                    const inside = dx >= 0 && dy >= 0 && dx < marker.size && dy < marker.size;
+                    if (inside) {
+                        set(marker.x + dx, marker.y + dy, this.moduleKinds.finder, marker.pattern[dy][dx]);
+                    } else {
+                        set(marker.x + dx, marker.y + dy, this.moduleKinds.separator, 0);
+                    }
+                }
+            }
+        });
+        
+        // Timing rows and columns along the finders' inner edges, between the separators
+        const line = this.createMarkerPattern().length - 1;
+        for (let i = line + 2; i < matrixSize - line - 2; i++) {
+            [line, matrixSize - 1 - line].forEach(fixed => {
+                set(i, fixed, this.moduleKinds.timing, (i + 1) % 2);
+                set(fixed, i, this.moduleKinds.timing, (i + 1) % 2);
+            });
+        }
+        
+        const formatModules = this.getFormatModules(matrixSize);
+        formatModules.flat().forEach(index => {
+            kinds[index] = this.moduleKinds.format;
+        });
+        
+        const mark = this.createOrientationPattern();
+        mark.forEach((row, dy) => row.forEach((value, dx) => {
+            set(this.orientationMark.x + dx, this.orientationMark.y + dy, this.moduleKinds.orientation, value);
+        }));
+        
+        // Alignment patterns wherever the 5×5 box is still free
+        const pattern = this.createAlignmentPattern();
+        const axis = this.getAlignmentAxis(matrixSize);
+        const alignments = [];
+        axis.forEach((cy, row) => {
+            axis.forEach((cx, col) => {
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        if (kinds[(cy + dy) * matrixSize + cx + dx] !== this.moduleKinds.data) return;
+                    }
+                }
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, this.moduleKinds.alignment, pattern[dy + 2][dx + 2]);
+                    }
+                }
+                alignments.push({ row, col, x: cx, y: cy });
+            });
+        });
+        
+        const dataIndices = [];
+        for (let i = 0; i < kinds.length; i++) {
+            if (kinds[i] === this.moduleKinds.data) dataIndices.push(i);
+        }
+        
+        return {
+            size: matrixSize,
+            kinds,
+            values,
+            formatModules,
+            alignmentAxis: axis,
+            alignments,
+            dataIndices: Int32Array.from(dataIndices)
+        };
+    }
+
+    /**
+     * Pack format information (before RS protection)
+     */
+    packFormatInfo({ eccLevel, modulation, mask = 0, blockCount, payloadLength }) {
+        const info = new Uint8Array(this.formatDataLength);
+        const view = new DataView(info.buffer);
+        
+        info[0] = this.formatVersion;
+        info[1] = eccLevel;
+        info[2] = modulation; // Palette id from this.modulations
+        info[3] = mask;
+        view.setUint32(4, blockCount); // RS codewords in the interleaved stream
+        view.setUint32(8, payloadLength); // Exact bytes before RS padding
+        return info;
+    }
+
+    unpackFormatInfo(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        
+        return {
+            formatVersion: bytes[0],
+            eccLevel: bytes[1],
+            modulation: bytes[2],
+            mask: bytes[3],
+            blockCount: view.getUint32(4),
+            payloadLength: view.getUint32(8)
+        };
+    }
+
+    /**
+     * Write protected format bytes as dark/light modules (both copies)
+     */
+    writeFormatField(modules, formatBytes, matrixSize) {
+        this.getFormatModules(matrixSize).forEach(indices => {
+            indices.forEach((moduleIndex, bit) => {
+                modules[moduleIndex] = (formatBytes[bit >> 3] >> (7 - (bit & 7))) & 1;
+            });
+        });
+    }
+
+    /**
+     * Read both format field copies back as bytes from sampled modules
+     */
+    readFormatField(samples, matrixSize) {
+        return this.getFormatModules(matrixSize).map(indices => {
+            const bytes = new Uint8Array(indices.length / 8);
+            indices.forEach((moduleIndex, bit) => {
+                const luma = (samples.rgb[moduleIndex * 3] + samples.rgb[moduleIndex * 3 + 1] + samples.rgb[moduleIndex * 3 + 2]) / 3;
+                if (luma > 128) bytes[bit >> 3] |= 0x80 >> (bit & 7);
+            });
+            return bytes;
+        });
+    }
+
+    /**
+     * 2D scatter: consecutive stream bytes are spread over the whole data
+     * area with a golden-ratio stride; unused slots get filler bytes
+     */
+    scatterBytes(stream, capacity) {
+        const slots = new Uint8Array(capacity);
+        const stride = this.scatterStride(capacity);
+        const count = Math.min(stream.length, capacity);
+        
+        for (let i = 0; i < capacity; i++) {
+            slots[i] = (i * 7) % 256;
+        }
+        
+        let slot = 0;
+        for (let p = 0; p < count; p++) {
+            slots[slot] = stream[p];
+            slot = (slot + stride) % capacity;
         }
         
+        return slots;
+    }
+
+    gatherBytes(slots, length) {
+        const stream = new Uint8Array(length);
+        const stride = this.scatterStride(slots.length);
+        
+        let slot = 0;
+        for (let p = 0; p < length && p < slots.length; p++) {
+            stream[p] = slots[slot];
+            slot = (slot + stride) % slots.length;
+        }
+        
+        return stream;
+    }
+
+    scatterStride(capacity) {
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        let stride = Math.max(1, Math.round(capacity * 0.6180339887));
+        
+        while (gcd(stride, capacity) !== 1) stride++;
+        return stride;
+    }
+
+    /**
+     * Convert byte data to module colour codes
+     * Code 0 = dark, 1 = light (function patterns, format field), 2 + n =
+     * palette entry n. Data bits fill the layout's free modules MSB first.
+     */
+    bytesToModules(bytes, layout, colours) {
+        const { bits } = this.modulations[colours];
+        const modules = Uint8Array.from(layout.values);
+        let bitPos = 0;
+        
+        layout.dataIndices.forEach(moduleIndex => {
+            let symbol = 0;
+            for (let b = 0; b < bits; b++, bitPos++) {
+                const byte = bytes[bitPos >> 3];
+                const bit = byte === undefined
+                    ? (moduleIndex >> b) & 1 // Padding pattern for leftover bits
+                    : (byte >> (7 - (bitPos & 7))) & 1;
+                symbol = (symbol << 1) | bit;
+            }
+            modules[moduleIndex] = 2 + symbol;
+        });
+        
         return modules;
     }
 
     /**
-     * Extract color modules back to bytes
+     * Mask condition for module (x, y); a set bit inverts every bit of the symbol
+     */
+    maskBit(mask, x, y) {
+        switch (mask) {
+            case 0: return false;
+            case 1: return (x + y) % 2 === 0;
+            case 2: return y % 2 === 0;
+            case 3: return x % 3 === 0;
+            case 4: return (x + y) % 3 === 0;
+            case 5: return (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0;
+            case 6: return (x * y) % 2 + (x * y) % 3 === 0;
+            case 7: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+            case 8: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+            default: throw new Error(`Unknown data mask ${mask}`);
+        }
+    }
+
+    /**
+     * XOR the data modules with a mask (in place; applying it twice undoes it)
      */
-    colorModulesToBytes(modules) {
-        const bytes = [];
-        modules.forEach(module => {
-            bytes.push(module.r, module.g, module.b, module.a);
+    applyMask(modules, layout, colours, mask) {
+        const full = (1 << this.modulations[colours].bits) - 1;
+        const size = layout.size;
+        
+        layout.dataIndices.forEach(index => {
+            if (this.maskBit(mask, index % size, Math.floor(index / size))) {
+                modules[index] = 2 + ((modules[index] - 2) ^ full);
+            }
         });
-        return new Uint8Array(bytes);
     }
 
     /**
-     * Render matrix to canvas
+     * Score every mask and return the one with the lowest penalty
      */
-    renderToCanvas(canvas, modules, matrixSize) {
-        const ctx = canvas.getContext('2d');
-        const modulePx = this.moduleSize;
+    chooseMask(modules, layout, colours) {
+        const penalties = [];
+        for (let mask = 0; mask < this.maskCount; mask++) {
+            penalties.push(this.scoreMask(modules, layout, colours, mask));
+        }
+        
+        const mask = penalties.indexOf(Math.min(...penalties));
+        return { mask, penalties };
+    }
+
+    /**
+     * Penalty of the masked symbol (lower is better), QR-style rules:
+     * runs of 5+ equal colours, 2×2 blocks of one colour, finder-like
+     * light/dark sequences and a dark share far from 50% (dark blends into
+     * the background). Large matrices are scored on evenly spaced rows and
+     * columns only.
+     */
+    scoreMask(modules, layout, colours, mask) {
+        const size = layout.size;
+        const full = (1 << this.modulations[colours].bits) - 1;
+        const darkCodes = [true, false, ...this.modulations[colours].palette.map(([r, g, b]) => r + g + b < 384)];
+        const step = Math.max(1, Math.ceil(size / 128));
+        const finderLike = [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]; // 1 = light
         
-        canvas.width = matrixSize * modulePx;
-        canvas.height = matrixSize * modulePx;
+        const codeAt = (x, y) => {
+            const index = y * size + x;
+            const code = modules[index];
+            return layout.kinds[index] === this.moduleKinds.data && this.maskBit(mask, x, y)
+                ? 2 + ((code - 2) ^ full)
+                : code;
+        };
         
-        // Fill background
-        ctx.fillStyle = `rgb(${this.colors.background.join(',')})`;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        let penalty = 0;
+        let dark = 0;
+        let total = 0;
+        
+        const scoreLine = (at) => {
+            let run = 1;
+            let previous = at(0);
+            const light = [];
+            
+            for (let i = 0; i < size; i++) {
+                const code = at(i);
+                light.push(darkCodes[code] ? 0 : 1);
+                if (i === 0) continue;
+                if (code === previous) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += 3 + run - 5;
+                    run = 1;
+                    previous = code;
+                }
+            }
+            if (run >= 5) penalty += 3 + run - 5;
+            
+            for (let i = 0; i + finderLike.length <= size; i++) {
+                let forward = true;
+                let backward = true;
+                for (let k = 0; k < finderLike.length && (forward || backward); k++) {
+                    if (light[i + k] !== finderLike[k]) forward = false;
+                    if (light[i + k] !== finderLike[finderLike.length - 1 - k]) backward = false;
+                }
+                if (forward || backward) penalty += 40;
+            }
+            return light;
+        };
         
-        // Draw modules
-        modules.forEach((module, index) => {
-            const x = (index % matrixSize) * modulePx;
-            const y = Math.floor(index / matrixSize) * modulePx;
+        for (let y = 0; y < size; y += step) {
+            const light = scoreLine(x => codeAt(x, y));
+            light.forEach(value => {
+                if (!value) dark++;
+            });
+            total += size;
             
-            ctx.fillStyle = `rgba(${module.r}, ${module.g}, ${module.b}, ${module.a / 255})`;
-            ctx.fillRect(x, y, modulePx, modulePx);
+            if (y + 1 < size) {
+                for (let x = 0; x + 1 < size; x++) {
+                    const code = codeAt(x, y);
+                    if (code === codeAt(x + 1, y) && code === codeAt(x, y + 1) && code === codeAt(x + 1, y + 1)) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+        for (let x = 0; x < size; x += step) {
+            scoreLine(y => codeAt(x, y));
+        }
+        
+        penalty += 10 * Math.floor(Math.abs(dark * 100 / total - 50) / 5);
+        return penalty;
+    }
+
+    /**
+     * Classify sampled data modules by nearest palette entry and pack the
+     * symbols back to bytes, with a per-byte confidence (0-255).
+     * Colours are first normalised with the light/dark function modules,
+     * which undoes the tint and contrast loss of print or a camera.
+     * The data mask is removed here as well.
+     */
+    samplesToBytes(samples, layout, colours, mask = 0) {
+        const { bits, palette } = this.modulations[colours];
+        const full = (1 << bits) - 1;
+        const calibration = this.measureCalibration(samples, layout);
+        const length = Math.floor(layout.dataIndices.length * bits / 8);
+        const bytes = new Uint8Array(length);
+        const confidence = new Uint8Array(length).fill(255);
+        let bitPos = 0;
+        
+        layout.dataIndices.forEach(moduleIndex => {
+            const colour = [0, 1, 2].map(c => {
+                const { dark, light } = calibration[c];
+                return (samples.rgb[moduleIndex * 3 + c] - dark) * 255 / Math.max(1, light - dark);
+            });
+            
+            let best = 0;
+            let bestDistance = Infinity;
+            let secondDistance = Infinity;
+            palette.forEach((entry, n) => {
+                const distance = Math.hypot(colour[0] - entry[0], colour[1] - entry[1], colour[2] - entry[2]);
+                if (distance < bestDistance) {
+                    secondDistance = bestDistance;
+                    bestDistance = distance;
+                    best = n;
+                } else if (distance < secondDistance) {
+                    secondDistance = distance;
+                }
+            });
+            
+            if (this.maskBit(mask, moduleIndex % layout.size, Math.floor(moduleIndex / layout.size))) {
+                best ^= full;
+            }
+            
+            // Halfway between two entries means no confidence at all
+            const margin = (secondDistance - bestDistance) / (secondDistance + bestDistance || 1);
+            const moduleConfidence = Math.min(samples.confidence[moduleIndex], Math.round(Math.min(1, margin * 2) * 255));
+            
+            for (let b = bits - 1; b >= 0; b--, bitPos++) {
+                const byteIndex = bitPos >> 3;
+                if (byteIndex >= length) break;
+                if ((best >> b) & 1) bytes[byteIndex] |= 0x80 >> (bitPos & 7);
+                confidence[byteIndex] = Math.min(confidence[byteIndex], moduleConfidence);
+            }
         });
         
-        // Draw markers
-        this.drawMarkers(ctx, matrixSize);
+        return { bytes, confidence };
+    }
+
+    /**
+     * Per-channel dark and light levels seen on the finder, timing and
+     * alignment modules
+     */
+    measureCalibration(samples, layout) {
+        const sums = [[0, 0, 0], [0, 0, 0]];
+        const counts = [0, 0];
+        
+        for (let i = 0; i < layout.kinds.length; i++) {
+            const kind = layout.kinds[i];
+            if (kind === this.moduleKinds.data || kind === this.moduleKinds.format) continue;
+            const value = layout.values[i];
+            for (let c = 0; c < 3; c++) sums[value][c] += samples.rgb[i * 3 + c];
+            counts[value]++;
+        }
         
-        return canvas;
+        return [0, 1, 2].map(c => ({
+            dark: counts[0] ? sums[0][c] / counts[0] : 0,
+            light: counts[1] ? sums[1][c] / counts[1] : 255
+        }));
     }
 
-    drawMarkers(ctx, matrixSize) {
-        const markers = this.generateMarkers(matrixSize);
-        const modulePx = this.moduleSize;
+    /**
+     * Render module colour codes to canvas
+     */
+    renderToCanvas(canvas, modules, matrixSize, colours) {
+        const ctx = canvas.getContext('2d');
+        // Large matrices get smaller modules so the canvas stays within limits
+        const modulePx = Math.max(1, Math.min(this.moduleSize, Math.floor(this.maxCanvasSide / (matrixSize + 2 * this.quietZone))));
+        const border = this.quietZone * modulePx;
+        const paletteColours = [this.colors.background, this.colors.marker, ...this.modulations[colours].palette];
         
-        markers.forEach(marker => {
-            for (let dy = 0; dy < marker.pattern.length; dy++) {
-                for (let dx = 0; dx < marker.pattern[dy].length; dx++) {
-                    if (marker.pattern[dy][dx] === 1) {
-                        const x = (marker.x + dx) * modulePx;
-                        const y = (marker.y + dy) * modulePx;
-                        ctx.fillStyle = 'white';
-                        ctx.fillRect(x, y, modulePx, modulePx);
+        // Dark quiet zone keeps the finders' outer light ring separate from
+        // a light page or screen around the code
+        canvas.width = matrixSize * modulePx + 2 * border;
+        canvas.height = matrixSize * modulePx + 2 * border;
+        
+        const image = ctx.createImageData(canvas.width, canvas.height);
+        const pixels = image.data;
+        const [br, bg, bb] = this.colors.background;
+        for (let offset = 0; offset < pixels.length; offset += 4) {
+            pixels[offset] = br;
+            pixels[offset + 1] = bg;
+            pixels[offset + 2] = bb;
+            pixels[offset + 3] = 255;
+        }
+        
+        for (let y = 0; y < matrixSize; y++) {
+            for (let x = 0; x < matrixSize; x++) {
+                const [r, g, b] = paletteColours[modules[y * matrixSize + x]];
+                for (let py = 0; py < modulePx; py++) {
+                    let offset = ((border + y * modulePx + py) * canvas.width + border + x * modulePx) * 4;
+                    for (let px = 0; px < modulePx; px++, offset += 4) {
+                        pixels[offset] = r;
+                        pixels[offset + 1] = g;
+                        pixels[offset + 2] = b;
+                        pixels[offset + 3] = 255;
                     }
                 }
             }
-        });
+        }
+        
+        ctx.putImageData(image, 0, 0);
+        return canvas;
     }
 
     /**
-     * Detect markers in scanned image
+     * Find the finder patterns anywhere in the image
+     * Rows are scanned for light:dark:light:dark:light runs in 1:1:3:1:1
+     * on a locally thresholded image; each hit is confirmed down its column,
+     * back along its row and across a diagonal, then hits are clustered.
+     * Run edges are interpolated, so the averaged centres are sub-pixel.
+     * Large images are scanned every few rows first; if that misses a
+     * finder (very small modules) or the four do not form a square, the
+     * row step is halved down to 1.
+     * Returns up to four { x, y, moduleSize, count }: top-left, top-right,
+     * bottom-left, bottom-right.
      */
     detectMarkers(imageData, width, height) {
-        const markers = [];
-        const threshold = 200; // White detection
-        
-        // Simplified marker detection
-        // In production, use more advanced corner detection
-        const corners = [
-            { x: 0, y: 0, searchArea: 50 },
-            { x: width - 50, y: 0, searchArea: 50 },
-            { x: 0, y: height - 50, searchArea: 50 },
-            { x: width - 50, y: height - 50, searchArea: 50 }
-        ];
+        const luma = this.toLuma(imageData, width, height);
+        const threshold = this.createThresholdMap(luma, width, height);
+        let markers = [];
         
-        corners.forEach(corner => {
-            const center = this.findMarkerCenter(imageData, width, height, corner);
-            if (center) markers.push(center);
+        for (let step = Math.max(1, Math.floor(Math.min(width, height) / this.finderScanRows)); ; step = Math.floor(step / 2)) {
+            const candidates = this.scanFinderRows(luma, threshold, width, height, step);
+            markers = this.selectMarkers(this.clusterFinderCandidates(candidates));
+            if ((markers.length >= 4 && this.isFinderSquare(markers)) || step === 1) return markers;
+        }
+    }
+
+    /**
+     * All four sides span about the same number of modules (size - 7),
+     * counted in the module size of their own finders; a stray hit in the
+     * data area taking the place of a missed finder breaks this
+     */
+    isFinderSquare([tl, tr, bl, br]) {
+        const span = (a, b) => Math.hypot(b.x - a.x, b.y - a.y) * 2 / (a.moduleSize + b.moduleSize);
+        const sides = [span(tl, tr), span(tl, bl), span(tr, br), span(bl, br)];
+        return Math.max(...sides) < Math.min(...sides) * 1.5;
+    }
+
+    /**
+     * Finder candidates from every step-th row. With step > 1 each new
+     * finder is re-scanned row by row across its centre, at full
+     * resolution, so the centre is as exact as a full scan would make it.
+     */
+    scanFinderRows(luma, threshold, width, height, step) {
+        const candidates = [];
+        const refined = [];
+        
+        for (let y = Math.floor(step / 2); y < height; y += step) {
+            this.findFinderRuns(luma, threshold, width, height, 0, y, 1, 0, width).forEach(hit => {
+                const candidate = this.checkFinderCandidate(luma, threshold, width, height, hit.center, y, hit.total);
+                if (!candidate) return;
+                candidates.push(candidate);
+                
+                const unit = candidate.moduleSize;
+                if (step === 1 || refined.some(r => Math.abs(r.x - candidate.x) < unit * 2 && Math.abs(r.y - candidate.y) < unit * 2)) return;
+                refined.push(candidate);
+                
+                // The 1:1:3:1:1 rows are the ones through the 3-module centre
+                const x0 = Math.max(0, Math.floor(candidate.x - unit * 6));
+                for (let ry = Math.ceil(candidate.y - unit * 1.5); ry <= candidate.y + unit * 1.5; ry++) {
+                    if (ry === y || ry < 0 || ry >= height) continue;
+                    this.findFinderRuns(luma, threshold, width, height, x0, ry, 1, 0, Math.ceil(unit * 12)).forEach(near => {
+                        if (Math.abs(x0 + near.center - candidate.x) > unit * 1.5) return;
+                        const extra = this.checkFinderCandidate(luma, threshold, width, height, x0 + near.center, ry, near.total);
+                        if (extra) candidates.push(extra);
+                    });
+                }
+            });
+        }
+        
+        return candidates;
+    }
+
+    /**
+     * Confirm a row hit down its column, back along its row and across a
+     * diagonal; { x, y, moduleSize } or null
+     */
+    checkFinderCandidate(luma, threshold, width, height, x, y, total) {
+        const vertical = this.checkFinderLine(luma, threshold, width, height, x, y, 0, 1, total);
+        if (!vertical) return null;
+        const horizontal = this.checkFinderLine(luma, threshold, width, height, x, vertical.center, 1, 0, total);
+        if (!horizontal) return null;
+        const diagonal = this.checkFinderLine(luma, threshold, width, height, horizontal.center, vertical.center, 1, 1, total);
+        if (!diagonal) return null;
+        
+        return {
+            x: horizontal.center,
+            y: vertical.center,
+            moduleSize: (horizontal.total + vertical.total) / 14
+        };
+    }
+
+    toLuma(imageData, width, height) {
+        const luma = new Uint8Array(width * height);
+        const data = imageData.data;
+        for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+            luma[i] = (data[p] + data[p + 1] + data[p + 2]) / 3;
+        }
+        return luma;
+    }
+
+    /**
+     * Local threshold per block: mean of the min/max midpoints of the 5×5
+     * surrounding blocks, so uneven lighting in photos does not merge runs
+     */
+    createThresholdMap(luma, width, height) {
+        const block = Math.max(8, Math.ceil(Math.min(width, height) / 64));
+        const cols = Math.ceil(width / block);
+        const rows = Math.ceil(height / block);
+        const mid = new Float32Array(cols * rows);
+        const flat = new Uint8Array(cols * rows); // Too little contrast to place a threshold
+        
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < cols; bx++) {
+                let min = 255;
+                let max = 0;
+                for (let y = by * block; y < Math.min(height, (by + 1) * block); y++) {
+                    for (let x = bx * block; x < Math.min(width, (bx + 1) * block); x++) {
+                        const value = luma[y * width + x];
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                    }
+                }
+                mid[by * cols + bx] = (min + max) / 2;
+                flat[by * cols + bx] = max - min < 24 ? 1 : 0;
+            }
+        }
+        
+        const values = new Uint8Array(cols * rows);
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < cols; bx++) {
+                // Flat blocks (quiet zone, module interiors) would drag the
+                // mean towards their own level, so only contrasted blocks vote
+                let sum = 0;
+                let count = 0;
+                for (let y = Math.max(0, by - 2); y <= Math.min(rows - 1, by + 2); y++) {
+                    for (let x = Math.max(0, bx - 2); x <= Math.min(cols - 1, bx + 2); x++) {
+                        if (flat[y * cols + x]) continue;
+                        sum += mid[y * cols + x];
+                        count++;
+                    }
+                }
+                values[by * cols + bx] = count > 0 ? sum / count : mid[by * cols + bx];
+            }
+        }
+        
+        return { block, cols, values };
+    }
+
+    thresholdAt(threshold, x, y) {
+        return threshold.values[Math.floor(y / threshold.block) * threshold.cols + Math.floor(x / threshold.block)];
+    }
+
+    /**
+     * 1:1:3:1:1 light/dark run sequences along a line of `length` pixels
+     * from (x0, y0) in direction (dx, dy). Edges between runs sit where
+     * the luma crosses the threshold. Returns { center, total } with the
+     * centre as a distance along the line.
+     */
+    findFinderRuns(luma, threshold, width, height, x0, y0, dx, dy, length) {
+        const edges = [0];
+        let previousLight = null;
+        let previous = 0;
+        let firstLight = null;
+        let count = 0;
+        
+        for (let i = 0; i < length; i++, count++) {
+            const x = Math.floor(x0 + i * dx);
+            const y = Math.floor(y0 + i * dy);
+            if (x < 0 || y < 0 || x >= width || y >= height) {
+                if (previousLight === null) continue; // Line starts outside the image
+                break;
+            }
+            
+            const value = luma[y * width + x];
+            const t = this.thresholdAt(threshold, x, y);
+            const light = value > t;
+            if (previousLight === null) {
+                firstLight = light;
+                edges[0] = i;
+            } else if (light !== previousLight) {
+                const fraction = value === previous ? 0.5 : (t - previous) / (value - previous);
+                edges.push(i - 0.5 + Math.max(0, Math.min(1, fraction)));
+            }
+            previousLight = light;
+            previous = value;
+        }
+        if (firstLight === null) return [];
+        edges.push(count);
+        
+        // Runs alternate from the first pixel's colour
+        const hits = [];
+        for (let r = firstLight ? 0 : 1; r + 5 < edges.length; r += 2) {
+            const runs = [];
+            for (let k = 0; k < 5; k++) runs.push(edges[r + k + 1] - edges[r + k]);
+            if (this.isFinderRatio(runs)) {
+                hits.push({
+                    center: (edges[r + 2] + edges[r + 3]) / 2,
+                    total: edges[r + 5] - edges[r]
+                });
+            }
+        }
+        return hits;
+    }
+
+    isFinderRatio(runs) {
+        const total = runs.reduce((sum, run) => sum + run, 0);
+        const unit = total / 7;
+        if (unit < 1) return false;
+        
+        const variance = unit / 2;
+        return Math.abs(runs[0] - unit) < variance &&
+            Math.abs(runs[1] - unit) < variance &&
+            Math.abs(runs[2] - 3 * unit) < 3 * variance &&
+            Math.abs(runs[3] - unit) < variance &&
+            Math.abs(runs[4] - unit) < variance;
+    }
+
+    /**
+     * Confirm a finder through (x, y) along direction (dx, dy); the pattern
+     * must be centred near (x, y) and about as wide as the first hit.
+     * Returns the refined centre coordinate along the line's main axis
+     * (x unless dx is 0) and the width in steps (√2 pixels on a diagonal).
+     */
+    checkFinderLine(luma, threshold, width, height, x, y, dx, dy, expected) {
+        const diagonal = dx !== 0 && dy !== 0;
+        const scale = diagonal ? Math.SQRT2 : 1;
+        const reach = Math.ceil(expected * 1.5 / scale);
+        const baseX = Math.floor(x);
+        const baseY = Math.floor(y);
+        const hits = this.findFinderRuns(luma, threshold, width, height,
+            baseX - reach * dx, baseY - reach * dy, dx, dy, 2 * reach + 1);
+        const unit = expected / 7;
+        
+        // Image coordinate along the line's main axis for a line position
+        const along = position => (dx ? baseX : baseY) + (position - reach);
+        const target = dx ? x : y;
+        // A rotated finder is wider along some directions (up to √2), so
+        // the diagonal only has to be in the same range
+        const widthMatches = hit => diagonal
+            ? hit.total * scale > expected * 0.5 && hit.total * scale < expected * 2
+            : Math.abs(hit.total - expected) < expected * 0.4;
+        const match = hits.find(hit =>
+            Math.abs(along(hit.center) - target) * scale < unit * 1.5 && widthMatches(hit));
+        if (!match) return null;
+        
+        return { center: along(match.center), total: match.total };
+    }
+
+    /**
+     * Merge hits that belong to the same finder (centres within two
+     * modules, similar module size); centres are averaged
+     */
+    clusterFinderCandidates(candidates) {
+        const clusters = [];
+        candidates.forEach(candidate => {
+            const cluster = clusters.find(c => {
+                const size = c.sizeSum / c.count;
+                return Math.abs(c.xSum / c.count - candidate.x) < size * 2 &&
+                    Math.abs(c.ySum / c.count - candidate.y) < size * 2 &&
+                    candidate.moduleSize > size / 2 && candidate.moduleSize < size * 2;
+            });
+            if (cluster) {
+                cluster.xSum += candidate.x;
+                cluster.ySum += candidate.y;
+                cluster.sizeSum += candidate.moduleSize;
+                cluster.count++;
+            } else {
+                clusters.push({ xSum: candidate.x, ySum: candidate.y, sizeSum: candidate.moduleSize, count: 1 });
+            }
         });
         
-        return markers;
+        return clusters.map(c => ({
+            x: c.xSum / c.count,
+            y: c.ySum / c.count,
+            moduleSize: c.sizeSum / c.count,
+            count: c.count
+        }));
     }
 
-    findMarkerCenter(imageData, width, height, searchArea) {
-        // Simplified marker detection logic
-        // Returns center point of detected marker
-        return { x: searchArea.x + 10, y: searchArea.y + 10 };
+    /**
+     * The four best-supported clusters with a consistent module size,
+     * ordered top-left, top-right, bottom-left, bottom-right
+     */
+    selectMarkers(clusters) {
+        const ranked = clusters.filter(c => c.count >= 2).sort((a, b) => b.count - a.count);
+        if (ranked.length === 0) return [];
+        
+        const reference = ranked[0].moduleSize;
+        const markers = ranked
+            .filter(c => c.moduleSize > reference * 0.6 && c.moduleSize < reference / 0.6)
+            .slice(0, 4);
+        if (markers.length < 4) return markers;
+        
+        // Walk the corners clockwise around their centroid (y points down),
+        // starting from the top-left one, so each finder is used once even
+        // under strong perspective
+        const cx = markers.reduce((sum, m) => sum + m.x, 0) / 4;
+        const cy = markers.reduce((sum, m) => sum + m.y, 0) / 4;
+        const ring = markers.slice().sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+        const start = ring.indexOf(ring.reduce((best, m) => (m.x + m.y < best.x + best.y ? m : best)));
+        const [tl, tr, br, bl] = [0, 1, 2, 3].map(i => ring[(start + i) % 4]);
+        return [tl, tr, bl, br];
     }
 
     /**
-     * Generate metadata header
+     * Generate metadata header, followed by the integrity digest (if any),
+     * the shared dictionary reference (if any), the part reference (if any),
+     * the fountain reference (if any) and the TLV records (if any)
      */
-    generateMetadata(dataType, originalSize, compressedSize) {
-        const meta = new ArrayBuffer(32);
+    generateMetadata(dataType, originalSize, compressedSize, options = {}) {
+        const {
+            integrity = 'none',
+            digest = new Uint8Array(0),
+            codec = 0,
+            textDictionary = 0,
+            transformed = false,
+            sharedDictionary = null,
+            part = null,
+            fountain = null,
+            id = null,
+            records = null
+        } = options;
+        const method = this.integrityMethods[integrity];
+        const refLength = sharedDictionary ? this.dictionaryRefLength : 0;
+        const partLength = part ? this.partRefLength : 0;
+        const fountainLength = fountain ? this.fountainRefLength : 0;
+        const recordBytes = records ? this.encodeRecords(records) : new Uint8Array(0);
+        const meta = new ArrayBuffer(this.headerLength + method.length + refLength + partLength + fountainLength + recordBytes.length);
         const view = new DataView(meta);
+        const flags = (transformed ? this.headerFlags.transformed : 0) |
+            (sharedDictionary ? this.headerFlags.sharedDictionary : 0) |
+            (records ? this.headerFlags.records : 0) |
+            (part ? this.headerFlags.part : 0) |
+            (fountain ? this.headerFlags.fountain : 0);
         
-        view.setUint32(0, 0x484D5143); // "HMQC" magic number
-        view.setUint32(4, this.version.split('.').map(v => parseInt(v)).reduce((a, b) => (a << 8) | b));
-        view.setUint32(8, dataType === 'text' ? 1 : dataType === 'image' ? 2 : dataType === 'audio' ? 3 : 4);
+        view.setUint32(0, this.magic);
+        view.setUint8(4, this.formatMajor);
+        view.setUint8(5, this.formatMinor); // Bytes 6-7 reserved
+        // Bytes 8-11: codec, text dictionary, flags, data type
+        // (data type stays in byte 11, where the old 32-bit field kept it)
+        view.setUint8(8, codec);
+        view.setUint8(9, textDictionary);
+        view.setUint8(10, flags);
+        view.setUint8(11, dataType === 'text' ? 1 : dataType === 'image' ? 2 : dataType === 'audio' ? 3 : 4);
         view.setUint32(12, originalSize);
         view.setUint32(16, compressedSize);
         view.setUint32(20, Date.now() / 1000 | 0);
-        view.setUint32(24, Math.random() * 0xFFFFFFFF | 0); // Unique ID
-        view.setUint32(28, 0); // Reserved
+        view.setUint32(24, id !== null ? id : this.createPayloadId()); // Unique ID, shared by all parts
+        view.setUint8(28, method.id); // Integrity method, bytes 29-31 reserved
+        
+        const bytes = new Uint8Array(meta);
+        bytes.set(digest.slice(0, method.length), this.headerLength);
         
-        return new Uint8Array(meta);
+        if (sharedDictionary) {
+            view.setUint16(this.headerLength + method.length, sharedDictionary.id);
+            view.setUint32(this.headerLength + method.length + 2, sharedDictionary.hash);
+        }
+        if (part) {
+            const partOffset = this.headerLength + method.length + refLength;
+            view.setUint16(partOffset, part.index);
+            view.setUint16(partOffset + 2, part.total);
+            view.setUint32(partOffset + 4, part.offset);
+            view.setUint32(partOffset + 8, part.length);
+        }
+        if (fountain) {
+            const fountainOffset = this.headerLength + method.length + refLength + partLength;
+            view.setUint32(fountainOffset, fountain.seed);
+            view.setUint16(fountainOffset + 4, fountain.blockSize);
+        }
+        bytes.set(recordBytes, this.headerLength + method.length + refLength + partLength + fountainLength);
+        return bytes;
+    }
+
+    createPayloadId() {
+        return Math.random() * 0xFFFFFFFF >>> 0;
     }
 
     /**
-     * Parse metadata from decoded data
+     * TLV section: [total length u16] then one record per field
      */
-    parseMetadata(bytes) {
+    encodeRecords({ filename = '', mimeType = '', modified = null, tags = [] }) {
+        const encoder = new TextEncoder();
+        const records = [];
+        const add = (tag, value) => {
+            records.push({ tag, value: value.slice(0, 0xFFFF) });
+        };
+        
+        if (filename) add(this.recordTags.filename, encoder.encode(filename));
+        if (mimeType) add(this.recordTags.mimeType, encoder.encode(mimeType));
+        if (modified !== null) {
+            const value = new Uint8Array(8);
+            new DataView(value.buffer).setBigUint64(0, BigInt(Math.max(0, Math.floor(modified))));
+            add(this.recordTags.modified, value);
+        }
+        tags.forEach(tag => add(this.recordTags.tag, encoder.encode(tag)));
+        
+        const length = records.reduce((sum, record) => sum + 3 + record.value.length, 0);
+        if (length > 0xFFFF) {
+            throw new Error('Metadata records exceed 64 KB. Use a shorter filename or fewer tags.');
+        }
+        
+        const bytes = new Uint8Array(2 + length);
         const view = new DataView(bytes.buffer);
+        view.setUint16(0, length);
+        
+        let offset = 2;
+        records.forEach(({ tag, value }) => {
+            bytes[offset] = tag;
+            view.setUint16(offset + 1, value.length);
+            bytes.set(value, offset + 3);
+            offset += 3 + value.length;
+        });
+        return bytes;
+    }
+
+    /**
+     * Read the TLV section at offset; unknown tags are skipped
+     */
+    parseRecords(bytes, offset) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        const decoder = new TextDecoder();
+        const fields = { filename: '', mimeType: '', modified: null, tags: [] };
+        
+        if (offset + 2 > bytes.length) throw new Error('Metadata records truncated');
+        const end = offset + 2 + view.getUint16(offset);
+        if (end > bytes.length) throw new Error('Metadata records truncated');
+        
+        for (let pos = offset + 2; pos < end;) {
+            if (pos + 3 > end) throw new Error('Metadata record truncated');
+            const tag = bytes[pos];
+            const length = view.getUint16(pos + 1);
+            const value = bytes.subarray(pos + 3, pos + 3 + length);
+            if (pos + 3 + length > end) throw new Error('Metadata record truncated');
+            
+            switch (tag) {
+                case this.recordTags.filename:
+                    fields.filename = decoder.decode(value);
+                    break;
+                case this.recordTags.mimeType:
+                    fields.mimeType = decoder.decode(value);
+                    break;
+                case this.recordTags.modified:
+                    if (length === 8) {
+                        fields.modified = new Date(Number(new DataView(value.buffer, value.byteOffset, 8).getBigUint64(0)));
+                    }
+                    break;
+                case this.recordTags.tag:
+                    fields.tags.push(decoder.decode(value));
+                    break;
+                default:
+                    break; // Unknown tag from a newer encoder: skipped
+            }
+            pos += 3 + length;
+        }
+        
+        return { fields, length: end - offset };
+    }
+
+    /**
+     * Parse and validate metadata from decoded data
+     * Throws HMQCFormatError before anything is decompressed if the header
+     * is not HMQC, is from an incompatible version or is inconsistent.
+     * headerLength tells where the compressed payload (or, for a part,
+     * its slice of it, or for a fountain frame, its coded block) starts.
+     */
+    parseMetadata(bytes) {
+        if (bytes.length < this.headerLength) {
+            throw new HMQCFormatError(`Header truncated: ${bytes.length} of ${this.headerLength} bytes decoded.`, 'truncated');
+        }
+        
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        const magic = view.getUint32(0);
+        if (magic !== this.magic) {
+            throw new HMQCFormatError(`Not an HMQC code (magic 0x${magic.toString(16).toUpperCase().padStart(8, '0')}, expected 0x484D5143).`, 'bad-magic');
+        }
+        
+        const version = this.readHeaderVersion(view);
+        if (version.major !== this.formatMajor) {
+            throw new HMQCFormatError(
+                version.major > this.formatMajor
+                    ? `This code uses header format ${version.major}.${version.minor}; this decoder reads ${this.formatMajor}.x. Please update the decoder.`
+                    : `Header format ${version.major}.${version.minor} is not supported by this decoder.`,
+                'unsupported-version'
+            );
+        }
+        const flags = view.getUint8(10);
+        if (flags & ~this.knownFlags) {
+            throw new HMQCFormatError(`Header uses unknown feature flags 0x${(flags & ~this.knownFlags).toString(16)}. Please update the decoder.`, 'unsupported-feature');
+        }
+        
+        const dataType = ['unknown', 'text', 'image', 'audio', 'binary'][view.getUint8(11)];
+        if (!dataType || dataType === 'unknown') {
+            throw new HMQCFormatError(`Invalid data type ${view.getUint8(11)} in header.`, 'invalid-field');
+        }
+        
+        const integrity = Object.keys(this.integrityMethods)
+            .find(key => this.integrityMethods[key].id === view.getUint8(28));
+        if (!integrity) {
+            throw new HMQCFormatError(`Unknown integrity method ${view.getUint8(28)} in header.`, 'invalid-field');
+        }
+        const digestLength = this.integrityMethods[integrity].length;
+        const refOffset = this.headerLength + digestLength;
+        const partOffset = refOffset + (flags & this.headerFlags.sharedDictionary ? this.dictionaryRefLength : 0);
+        const fountainOffset = partOffset + (flags & this.headerFlags.part ? this.partRefLength : 0);
+        const recordOffset = fountainOffset + (flags & this.headerFlags.fountain ? this.fountainRefLength : 0);
+        if (bytes.length < recordOffset) {
+            throw new HMQCFormatError('Header truncated inside the digest, dictionary, part or fountain reference.', 'truncated');
+        }
+        
+        const sharedDictionary = flags & this.headerFlags.sharedDictionary
+            ? { id: view.getUint16(refOffset), hash: view.getUint32(refOffset + 2) }
+            : null;
+        const part = flags & this.headerFlags.part
+            ? {
+                index: view.getUint16(partOffset),
+                total: view.getUint16(partOffset + 2),
+                offset: view.getUint32(partOffset + 4),
+                length: view.getUint32(partOffset + 8)
+            }
+            : null;
+        const fountain = flags & this.headerFlags.fountain
+            ? { seed: view.getUint32(fountainOffset), blockSize: view.getUint16(fountainOffset + 4) }
+            : null;
+        if (fountain && (part || fountain.blockSize === 0)) {
+            throw new HMQCFormatError('Invalid fountain reference (zero block size or combined with a part reference).', 'invalid-field');
+        }
+        let records = { fields: {}, length: 0 };
+        if (flags & this.headerFlags.records) {
+            try {
+                records = this.parseRecords(bytes, recordOffset);
+            } catch (error) {
+                throw new HMQCFormatError(error.message, 'truncated');
+            }
+        }
+        
+        const headerLength = recordOffset + records.length;
+        const compressedSize = view.getUint32(16);
+        if (part && (part.total === 0 || part.index >= part.total || part.offset + part.length > compressedSize)) {
+            throw new HMQCFormatError(`Invalid part reference ${part.index + 1}/${part.total} (${part.length} bytes at ${part.offset} of ${compressedSize}).`, 'invalid-field');
+        }
+        const payloadLength = part ? part.length : fountain ? fountain.blockSize : compressedSize;
+        if (headerLength + payloadLength > bytes.length) {
+            throw new HMQCFormatError(`Header claims ${payloadLength} payload bytes but only ${Math.max(0, bytes.length - headerLength)} follow it.`, 'truncated');
+        }
         
         return {
-            magic: view.getUint32(0).toString(16).toUpperCase(),
-            version: `${(view.getUint32(4) >> 16) & 0xFF}.${(view.getUint32(4) >> 8) & 0xFF}.${view.getUint32(4) & 0xFF}`,
-            dataType: ['unknown', 'text', 'image', 'audio', 'binary'][view.getUint32(8)] || 'unknown',
+            magic: magic.toString(16).toUpperCase(),
+            version: `${version.major}.${version.minor}`,
+            dataType,
+            codec: view.getUint8(8),
+            textDictionary: view.getUint8(9),
+            transformed: (flags & this.headerFlags.transformed) !== 0,
+            sharedDictionary,
+            part,
+            fountain,
             originalSize: view.getUint32(12),
-            compressedSize: view.getUint32(16),
+            compressedSize,
             timestamp: new Date(view.getUint32(20) * 1000),
-            id: view.getUint32(24)
+            id: view.getUint32(24),
+            integrity,
+            digest: bytes.slice(this.headerLength, this.headerLength + digestLength),
+            filename: '',
+            mimeType: '',
+            modified: null,
+            tags: [],
+            ...records.fields,
+            headerLength
         };
     }
+
+    /**
+     * Header format version; 3.0 codes wrote "3.0" as the u32 0x00000300
+     */
+    readHeaderVersion(view) {
+        if (view.getUint16(4) === 0 && view.getUint16(6) === 0x0300) {
+            return { major: 3, minor: 0 };
+        }
+        return { major: view.getUint8(4), minor: view.getUint8(5) };
+    }
 }
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = HMQCCore;
+    module.exports.HMQCFormatError = HMQCFormatError;
           }
@@ -0,0 +1,140 @@
+/**
+ * HMQC Image Fitter - optional lossy re-encoding
+ * Downscales an image and searches WebP/JPEG quality until it fits a byte budget
+ */
+
+class HMQCImageFitter {
+    constructor() {
+        this.formats = ['image/webp', 'image/jpeg'];
+        this.minQuality = 0.35;
+        this.maxQuality = 0.92;
+        this.qualitySteps = 6; // binary search iterations per format and scale
+        this.scaleStep = 0.8;
+        this.minDimension = 16;
+    }
+
+    /**
+     * Re-encode an image file to at most `budget` bytes
+     * Keeps the largest scale that fits, then the highest quality at that scale.
+     */
+    async fit(file, budget) {
+        const image = await this.loadImage(file);
+        const formats = this.getSupportedFormats();
+
+        // Start near ~1 bit per pixel instead of at full size
+        let scale = Math.min(1, Math.sqrt(budget * 8 / (image.width * image.height)));
+
+        while (Math.min(image.width, image.height) * scale >= this.minDimension) {
+            const canvas = this.drawScaled(image, scale);
+            let best = null;
+
+            for (const type of formats) {
+                const result = await this.searchQuality(canvas, type, budget);
+                if (result && (!best || result.quality > best.quality ||
+                    (result.quality === best.quality && result.data.length < best.data.length))) {
+                    best = result;
+                }
+            }
+
+            if (best) {
+                console.log(`Image fitted: ${canvas.width}x${canvas.height} ${best.type} q=${best.quality.toFixed(2)} → ${best.data.length} bytes`);
+                return {
+                    ...best,
+                    width: canvas.width,
+                    height: canvas.height,
+                    originalWidth: image.width,
+                    originalHeight: image.height
+                };
+            }
+
+            scale *= this.scaleStep;
+        }
+
+        throw new Error(`Image cannot be reduced below ${budget} bytes. Choose a larger matrix or byte budget.`);
+    }
+
+    /**
+     * Highest quality that fits the budget, or null if even minQuality is too big
+     */
+    async searchQuality(canvas, type, budget) {
+        let low = this.minQuality;
+        let high = this.maxQuality;
+        let best = null;
+
+        const attempt = async (quality) => {
+            const blob = await this.canvasToBlob(canvas, type, quality);
+            if (blob.size > budget) return false;
+            best = { type, quality, blob, data: new Uint8Array(await blob.arrayBuffer()) };
+            return true;
+        };
+
+        if (await attempt(high)) return best;
+        if (!(await attempt(low))) return null;
+
+        for (let i = 0; i < this.qualitySteps; i++) {
+            const mid = (low + high) / 2;
+            if (await attempt(mid)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return best; // Always the encode at `low`, the best passing quality
+    }
+
+    drawScaled(image, scale) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Browsers silently fall back to PNG for types they cannot encode
+     */
+    getSupportedFormats() {
+        const probe = document.createElement('canvas');
+        probe.width = probe.height = 1;
+        return this.formats.filter(type => probe.toDataURL(type).startsWith(`data:${type}`));
+    }
+
+    canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode image as ${type}`));
+                }
+            }, type, quality);
+        });
+    }
+
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read the image for re-encoding'));
+            };
+            img.src = url;
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HMQCImageFitter;
+}